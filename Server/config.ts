@@ -0,0 +1,167 @@
+// Server settings, later sources winning: defaults < JSON config file < environment < command line.
+// The config file is optional; its path comes from --config or CHINSHARE_CONFIG. README.md lists every setting.
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'] as const;
+export type LogLevel = typeof LOG_LEVELS[number];
+
+// Numeric tunables, settable from the config file (by key) or the environment: key -> [variable, default]
+const NUMBER_SETTINGS = {
+    resumeGraceMs: ['RESUME_GRACE_MS', 30000], // How long a dropped participant's slot is held (0 disables)
+    turnTtl: ['TURN_TTL', 3600], // Seconds a TURN credential stays valid
+    maxMessageBytes: ['MAX_MESSAGE_BYTES', 64 * 1024],
+    maxRooms: ['MAX_ROOMS', 1000],
+    maxRoomsPerIp: ['MAX_ROOMS_PER_IP', 3],
+    maxViewersPerRoom: ['MAX_VIEWERS_PER_ROOM', 50],
+    maxReservedRooms: ['MAX_RESERVED_ROOMS', 1000],
+    maxReservedRoomsPerIp: ['MAX_RESERVED_ROOMS_PER_IP', 3],
+    reservedRoomIdleDays: ['RESERVED_ROOM_IDLE_DAYS', 30], // Unused names are freed after this (0 keeps them)
+    createRatePerIp: ['CREATE_RATE_PER_IP', 10], // Per minute
+    joinRatePerIp: ['JOIN_RATE_PER_IP', 30], // Per minute
+    joinFailureLimit: ['JOIN_FAILURE_LIMIT', 5], // Failed joins per minute before lockout
+    joinLockoutMs: ['JOIN_LOCKOUT_MS', 5 * 60_000],
+    chatHistory: ['CHAT_HISTORY', 100], // Messages kept per room for late joiners
+    relayDirectSlots: ['RELAY_DIRECT_SLOTS', 4], // Cascade: viewers the broadcaster feeds itself
+    relayFanout: ['RELAY_FANOUT', 3] // Cascade: viewers each viewer forwards to
+} as const;
+type NumberSetting = keyof typeof NUMBER_SETTINGS;
+
+export type Config = {
+    port: number;
+    host: string; // Bind address
+    tls?: { cert: string, key: string }; // PEM file paths: serve HTTPS/WSS directly
+    allowedOrigins: string[]; // Browser origins allowed to open /ws; empty = same origin only, '*' = any
+    trustedProxies: string[]; // Reverse proxy addresses whose X-Forwarded-For is believed
+    staticDir: string; // Web app assets
+    logLevel: LogLevel;
+    roomStore: string; // JSON file holding reserved room names
+    stunUrls: string[]; // ICE servers handed to clients
+    turnUrls: string[];
+    turnSecret: string; // coturn `static-auth-secret`
+    adminToken: string; // Admin API (/admin/*) is disabled unless set
+    metricsToken: string; // /metrics is open unless set
+} & Record<NumberSetting, number>;
+
+type ConfigFile = Partial<Omit<Config, 'tls'>> & { tls?: { cert?: string, key?: string } };
+
+const parseList = (value: string) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+const readConfigFile = (path: string): ConfigFile => {
+    try {
+        const parsed = JSON.parse(readFileSync(path, 'utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not a JSON object');
+        return parsed;
+    } catch (e) {
+        throw new Error(`Config file ${path}: ${(e as Error).message}`);
+    }
+};
+
+export const loadConfig = (argv = process.argv.slice(2), env = process.env): Config => {
+    const { values: cli } = parseArgs({
+        args: argv,
+        options: {
+            config: { type: 'string' },
+            port: { type: 'string' },
+            host: { type: 'string' },
+            'tls-cert': { type: 'string' },
+            'tls-key': { type: 'string' },
+            'allowed-origins': { type: 'string' },
+            'trusted-proxies': { type: 'string' },
+            'static-dir': { type: 'string' },
+            'log-level': { type: 'string' },
+            'room-store': { type: 'string' }
+        }
+    });
+
+    const configPath = cli.config ?? env.CHINSHARE_CONFIG;
+    const fileConfig = configPath ? readConfigFile(configPath) : {};
+    // Relative paths in the file are relative to the file, not to wherever the server was started
+    const fromFile = (path?: string) => path && configPath ? resolve(dirname(configPath), path) : path;
+
+    const pick = <T>(cliValue: T | undefined, envValue: T | undefined, fileValue: T | undefined, fallback: T) =>
+        cliValue ?? envValue ?? fileValue ?? fallback;
+    const origins = cli['allowed-origins'] ?? env.ALLOWED_ORIGINS;
+    const list = (envValue: string | undefined, fileValue: string[] | undefined, fallback: string[]) =>
+        envValue !== undefined ? parseList(envValue) : fileValue ?? fallback;
+
+    const config: Config = {
+        port: Number(pick(cli.port, env.PORT, fileConfig.port?.toString(), '8000')),
+        host: pick(cli.host, env.HOST, fileConfig.host, '0.0.0.0'),
+        allowedOrigins: origins !== undefined ? parseList(origins) : fileConfig.allowedOrigins ?? [],
+        trustedProxies: list(cli['trusted-proxies'] ?? env.TRUSTED_PROXIES, fileConfig.trustedProxies, []),
+        staticDir: resolve(pick(cli['static-dir'], env.STATIC_DIR, fromFile(fileConfig.staticDir), join(import.meta.dir, '../webapp'))),
+        logLevel: pick(cli['log-level'], env.LOG_LEVEL, fileConfig.logLevel, 'info') as LogLevel,
+        roomStore: resolve(pick(cli['room-store'], env.ROOM_STORE, fromFile(fileConfig.roomStore), join(import.meta.dir, 'data/rooms.json'))),
+        // A public STUN server by default, so viewers on other networks can connect out of the box.
+        // It sees which addresses take part in a session: set your own, or STUN_URLS= for none
+        stunUrls: list(env.STUN_URLS, fileConfig.stunUrls, ['stun:stun.l.google.com:19302']),
+        turnUrls: list(env.TURN_URLS, fileConfig.turnUrls, []),
+        // Secrets stay off the command line, where other local users could read them
+        turnSecret: pick(undefined, env.TURN_SECRET, fileConfig.turnSecret, ''),
+        adminToken: pick(undefined, env.ADMIN_TOKEN, fileConfig.adminToken, ''),
+        metricsToken: pick(undefined, env.METRICS_TOKEN, fileConfig.metricsToken, ''),
+        ...Object.fromEntries(Object.entries(NUMBER_SETTINGS).map(([key, [variable, fallback]]) =>
+            [key, Number(pick(undefined, env[variable], fileConfig[key as NumberSetting]?.toString(), fallback.toString()))]
+        )) as Record<NumberSetting, number>
+    };
+
+    const cert = pick(cli['tls-cert'], env.TLS_CERT, fromFile(fileConfig.tls?.cert), undefined);
+    const key = pick(cli['tls-key'], env.TLS_KEY, fromFile(fileConfig.tls?.key), undefined);
+    if (cert || key) config.tls = { cert: resolve(cert ?? ''), key: resolve(key ?? '') };
+
+    validateConfig(config, !!cert !== !!key);
+    return config;
+};
+
+// Fail at startup rather than on the first request
+const validateConfig = (config: Config, halfTls: boolean) => {
+    const errors: string[] = [];
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) errors.push(`invalid port ${config.port}`);
+    if (!LOG_LEVELS.includes(config.logLevel)) errors.push(`log level must be one of ${LOG_LEVELS.join(', ')}`);
+    for (const key of ['allowedOrigins', 'trustedProxies', 'stunUrls', 'turnUrls'] as const) {
+        if (!Array.isArray(config[key]) || config[key].some(v => typeof v !== 'string')) errors.push(`${key} must be a list of strings`);
+    }
+    for (const key of ['turnSecret', 'adminToken', 'metricsToken'] as const) {
+        if (typeof config[key] !== 'string') errors.push(`${key} must be a string`);
+    }
+    for (const key of Object.keys(NUMBER_SETTINGS) as NumberSetting[]) {
+        if (!Number.isFinite(config[key]) || config[key] < 0) errors.push(`${key} must be a non-negative number`);
+    }
+    if (!existsSync(join(config.staticDir, 'index.html'))) errors.push(`no index.html in static dir ${config.staticDir}`);
+    if (halfTls) errors.push('TLS needs both a certificate and a key');
+    else if (config.tls) {
+        for (const path of [config.tls.cert, config.tls.key]) {
+            if (!existsSync(path)) errors.push(`TLS file not found: ${path}`);
+        }
+    }
+    if (errors.length) throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+};
+
+// Origin header check for the /ws upgrade. Browsers always send Origin on WebSockets;
+// clients without one (CLI tools, server-side scripts) aren't subject to it.
+export const isOriginAllowed = (config: Config, origin: string | null, host: string | null) => {
+    if (!origin || config.allowedOrigins.includes('*')) return true;
+    if (config.allowedOrigins.includes(origin)) return true;
+    try {
+        return new URL(origin).host === host; // Same origin: the page this server served
+    } catch {
+        return false;
+    }
+};
+
+// Rate limits, lockouts and bans key on the client address. Behind a reverse proxy every connection
+// comes from the proxy, so when the direct peer is a trusted proxy the client is the nearest
+// X-Forwarded-For hop that isn't one of ours.
+export const resolveClientAddress = (config: Config, peer: string, forwardedFor: string | null | undefined) => {
+    const normalize = (address: string) => address.replace(/^::ffff:/, ''); // IPv4-mapped IPv6
+    const trusted = (address: string) => config.trustedProxies.includes(normalize(address));
+    if (!forwardedFor || !trusted(peer)) return peer;
+
+    const hops = parseList(forwardedFor);
+    for (let i = hops.length - 1; i >= 0; i--) {
+        if (!trusted(hops[i]!)) return normalize(hops[i]!);
+    }
+    return hops[0] ? normalize(hops[0]) : peer;
+};
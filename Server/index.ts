@@ -1,10 +1,73 @@
 import { Elysia, file } from 'elysia';
 import { cors } from '@elysiajs/cors';
-import { join, resolve } from 'path';
+import { join } from 'path';
+import { createHash, createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import Protocol from '../webapp/protocol.js';
+import { LOG_LEVELS, isOriginAllowed, loadConfig, resolveClientAddress, type Config, type LogLevel } from './config';
+import { createRoomStore, type ReservedRoom, type RoomStore } from './store';
 
-const PORT = 8000;
+const { ErrorCodes } = Protocol;
 
-const log = (msg: string) => console.log(`[${new Date().toISOString()}] ${msg}`);
+let config: Config;
+let roomStore: RoomStore;
+try {
+    config = loadConfig();
+    roomStore = createRoomStore(config.roomStore);
+} catch (e) {
+    console.error((e as Error).message);
+    process.exit(1);
+}
+
+// Settings read once from the config layer (see config.ts for sources and defaults)
+const RESUME_GRACE_MS = config.resumeGraceMs;
+
+// ICE servers handed to clients in a room (get-ice)
+const STUN_URLS = config.stunUrls;
+const TURN_URLS = config.turnUrls;
+const TURN_SECRET = config.turnSecret;
+const TURN_TTL = config.turnTtl;
+
+// Abuse protection
+const MAX_MESSAGE_BYTES = config.maxMessageBytes; // Enforced by Bun before parsing
+const MAX_ROOMS = config.maxRooms;
+const MAX_ROOMS_PER_IP = config.maxRoomsPerIp;
+const MAX_VIEWERS_PER_ROOM = config.maxViewersPerRoom;
+const MAX_RESERVED_ROOMS = config.maxReservedRooms;
+const MAX_RESERVED_ROOMS_PER_IP = config.maxReservedRoomsPerIp;
+const RESERVED_ROOM_IDLE_MS = config.reservedRoomIdleDays * 24 * 60 * 60_000;
+const RATE_WINDOW_MS = 60_000;
+// Requests allowed per RATE_WINDOW_MS
+const RATE_LIMITS: Record<string, { perIp: number, perSocket: number }> = {
+    'create-room': { perIp: config.createRatePerIp, perSocket: 3 },
+    'join-room': { perIp: config.joinRatePerIp, perSocket: 10 }
+};
+const JOIN_FAILURE_LIMIT = config.joinFailureLimit; // Failed joins per window before lockout
+const JOIN_LOCKOUT_MS = config.joinLockoutMs;
+
+// Chat: history kept per room for late joiners, posts rate-limited per socket
+const CHAT_HISTORY = config.chatHistory;
+const CHAT_RATE_LIMIT = 5; // Messages per CHAT_RATE_WINDOW_MS
+const CHAT_RATE_WINDOW_MS = 10_000;
+const ICE_RATE_LIMIT = 10; // get-ice requests per socket per RATE_WINDOW_MS
+
+// Cascade rooms: the broadcaster feeds RELAY_DIRECT_SLOTS viewers, every viewer forwards to up to RELAY_FANOUT more
+const RELAY_DIRECT_SLOTS = config.relayDirectSlots;
+const RELAY_FANOUT = config.relayFanout;
+
+// Admin API (/admin/*) is disabled unless a token is set; /metrics is open unless METRICS_TOKEN is set
+const ADMIN_TOKEN = config.adminToken;
+const METRICS_TOKEN = config.metricsToken;
+
+// Leveled logging; `log` is the info level used for room events
+const logAt = (level: LogLevel) => (...args: unknown[]) => {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.logLevel)) return;
+    const write = level === 'info' ? console.log : console[level];
+    write(`[${new Date().toISOString()}]`, ...args);
+};
+const log = logAt('info');
+const logDebug = logAt('debug');
+const logWarn = logAt('warn');
+const logError = logAt('error');
 
 type Room = {
     broadcaster: any;
@@ -13,176 +76,1228 @@ type Room = {
     // But wait, if wrapper is transient, can we .send() on it later?
     // Elysia docs say .send() is available on the context.
     // Let's store ws.raw to be safe for sending too? ws.raw.send() works in Bun.
+    password?: PasswordHash; // Only set for passphrase-protected rooms
+    lobby: boolean; // Knock-to-join: new viewers wait in `pending` until admitted
+    pending: Map<string, any>; // id -> ws, viewers waiting for the broadcaster
+    banned: Set<string>; // Ban keys (see banKey) for the rest of the room's life
+    ownerAddress: string; // Broadcaster's remote address, for the per-IP room cap
+    createdAt: number;
+    chat: ChatMessage[]; // Last CHAT_HISTORY messages
+    chatMode: 'open' | 'read-only' | 'off'; // read-only: only the broadcaster can post
+    cascade: boolean; // Viewers relay the stream to each other
+    parents: Map<string, string>; // Cascade: viewer id -> id it receives from (HOST = broadcaster)
+    handoff?: string; // Viewer the broadcaster asked to take over presenting
+    e2ee: boolean; // Media is end-to-end encrypted; the key never reaches the server
+    persistent: boolean; // Reserved name: stays open for viewers between the owner's sessions
 };
 
+type ChatMessage = { id: string, from: string, name: string, text: string, ts: number }; // from: viewer id or 'host'
+
+type PasswordHash = { salt: Buffer, hash: Buffer };
+
 const rooms = new Map<string, Room>();
 
+type Session = {
+    role?: string, roomId?: string, id?: string, resumeToken?: string, name?: string, joinedAt?: number,
+    e2eeSupported?: boolean, clientId?: string
+};
+
 // Use ws.raw as key because Elysia's `ws` object might be transient/wrapped differently per request
-const sessionData = new WeakMap<any, { role?: string, roomId?: string, id?: string }>();
+const sessionData = new WeakMap<any, Session>();
+
+// Protocol version agreed in the hello handshake; sockets without one must say hello first
+const protocolVersions = new WeakMap<any, number>();
+
+// Counters exported on /metrics
+const metrics = {
+    roomsCreated: 0,
+    joins: 0,
+    failedJoins: new Map<string, number>(), // error code -> count
+    offers: 0,
+    answers: 0,
+    candidates: 0,
+    openSockets: 0
+};
+
+// Sliding-window hit timestamps, per IP (pruned periodically) and per socket
+const ipHits = new Map<string, number[]>();
+const socketHits = new WeakMap<any, Map<string, number[]>>();
+const joinFailures = new Map<string, number[]>();
+const lockouts = new Map<string, number>(); // address -> locked until (ms)
+
+// token -> slot it resumes; `timer` runs while the owner is disconnected
+type ResumeEntry = { role: string, roomId: string, id?: string, timer?: ReturnType<typeof setTimeout> };
+const resumeTokens = new Map<string, ResumeEntry>();
 
 const generateRoomId = () => Math.floor(100000 + Math.random() * 900000).toString();
 
+// Passphrases are never stored in plain text: keep a per-room random salt + scrypt hash
+const hashPassword = (password: string): PasswordHash => {
+    const salt = randomBytes(16);
+    return { salt, hash: scryptSync(password, salt, 32) };
+};
+
+const verifyPassword = (password: string, stored: PasswordHash) =>
+    timingSafeEqual(scryptSync(password, stored.salt, 32), stored.hash);
+
+const issueResumeToken = (session: Session) => {
+    const token = randomBytes(24).toString('base64url');
+    resumeTokens.set(token, { role: session.role!, roomId: session.roomId!, id: session.id });
+    session.resumeToken = token;
+    return token;
+};
+
+const revokeResumeToken = (session?: Session) => {
+    if (!session?.resumeToken) return;
+    const entry = resumeTokens.get(session.resumeToken);
+    if (entry) clearTimeout(entry.timer);
+    resumeTokens.delete(session.resumeToken);
+    session.resumeToken = undefined;
+};
+
+// TURN REST API credentials (coturn `use-auth-secret`): the username carries the expiry
+// timestamp and the password is base64(HMAC-SHA1(secret, username))
+const getIceServers = () => {
+    const iceServers: { urls: string[], username?: string, credential?: string }[] = [];
+    if (STUN_URLS.length) iceServers.push({ urls: STUN_URLS });
+
+    if (TURN_URLS.length && TURN_SECRET) {
+        const expiry = Math.floor(Date.now() / 1000) + TURN_TTL;
+        const username = `${expiry}:${randomBytes(4).toString('hex')}`;
+        const credential = createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+        iceServers.push({ urls: TURN_URLS, username, credential });
+    }
+
+    return { iceServers, ttl: TURN_TTL };
+};
+
+// `re` names the request type the error answers, when the client needs to route it
+const sendError = (ws: any, code: string, message: string, re?: string) => ws.send(Protocol.createError(code, message, re));
+
+// Resolved once per socket when it opens (see resolveClientAddress)
+const clientAddresses = new WeakMap<any, string>();
+let warnedAboutProxy = false;
+
+const rememberClientAddress = (ws: any) => {
+    const forwardedFor = ws.data.headers?.['x-forwarded-for'];
+    if (forwardedFor && !config.trustedProxies.length && !warnedAboutProxy) {
+        warnedAboutProxy = true;
+        logWarn('Got X-Forwarded-For but no trusted proxies are configured: clients behind the proxy share ' +
+            'its address for rate limits, lockouts and bans. Set TRUSTED_PROXIES to the proxy address.');
+    }
+    clientAddresses.set(ws.raw, resolveClientAddress(config, ws.raw.remoteAddress, forwardedFor));
+};
+
+const clientAddress = (ws: any): string => clientAddresses.get(ws.raw) ?? ws.raw.remoteAddress;
+
+// Records a hit for `key`; false once `limit` hits already fall inside the window
+const hitRateLimit = (hits: Map<string, number[]>, key: string, limit: number, windowMs = RATE_WINDOW_MS) => {
+    const now = Date.now();
+    const recent = (hits.get(key) ?? []).filter(t => now - t < windowMs);
+    const allowed = recent.length < limit;
+    if (allowed) recent.push(now);
+    hits.set(key, recent);
+    return allowed;
+};
+
+const getSocketHits = (ws: any) => {
+    if (!socketHits.has(ws.raw)) socketHits.set(ws.raw, new Map());
+    return socketHits.get(ws.raw)!;
+};
+
+// Replies RATE_LIMITED / LOCKED_OUT if this request must be refused and returns that code, else null
+const checkRateLimit = (ws: any, type: string) => {
+    const address = clientAddress(ws);
+
+    const lockedUntil = lockouts.get(address) ?? 0;
+    if (type === 'join-room' && lockedUntil > Date.now()) {
+        sendError(ws, ErrorCodes.LOCKED_OUT,
+            `Too many failed joins. Try again in ${Math.ceil((lockedUntil - Date.now()) / 1000)}s`);
+        return ErrorCodes.LOCKED_OUT;
+    }
+
+    const limits = RATE_LIMITS[type]!;
+    if (!hitRateLimit(getSocketHits(ws), type, limits.perSocket) ||
+        !hitRateLimit(ipHits, `${type}:${address}`, limits.perIp)) {
+        sendError(ws, ErrorCodes.RATE_LIMITED, 'Too many requests, slow down');
+        return ErrorCodes.RATE_LIMITED;
+    }
+    return null;
+};
+
+// Counted on /metrics by reason
+const rejectJoin = (ws: any, code: string, message: string) => {
+    metrics.failedJoins.set(code, (metrics.failedJoins.get(code) ?? 0) + 1);
+    if (message) sendError(ws, code, message);
+};
+
+// Guessing room codes or passphrases locks the address out for a while
+const recordJoinFailure = (ws: any) => {
+    const address = clientAddress(ws);
+    if (!hitRateLimit(joinFailures, address, JOIN_FAILURE_LIMIT)) {
+        lockouts.set(address, Date.now() + JOIN_LOCKOUT_MS);
+        joinFailures.delete(address);
+        log(`Locked out ${address} for ${JOIN_LOCKOUT_MS}ms after repeated failed joins`);
+    }
+};
+
+// Drop counters that no longer matter so the maps don't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const hits of [ipHits, joinFailures]) {
+        for (const [key, times] of hits) {
+            if (!times.some(t => now - t < RATE_WINDOW_MS)) hits.delete(key);
+        }
+    }
+    for (const [address, until] of lockouts) {
+        if (until <= now) lockouts.delete(address);
+    }
+    // Reserved names nobody has presented in for a long time go back to the pool
+    if (RESERVED_ROOM_IDLE_MS > 0) {
+        for (const name of roomStore.expire(RESERVED_ROOM_IDLE_MS, name => !!rooms.get(name)?.broadcaster)) {
+            destroyRoom(name, 'expired');
+            log(`Reserved room name ${name} expired`);
+        }
+    }
+}, RATE_WINDOW_MS);
+
+// Room owned by this socket; replies NOT_ALLOWED unless it is the broadcaster
+const requireBroadcasterRoom = (ws: any) => {
+    const sData = sessionData.get(ws.raw);
+    const room = sData?.role === 'broadcaster' && sData.roomId ? rooms.get(sData.roomId) : undefined;
+    if (!room) {
+        sendError(ws, ErrorCodes.NOT_ALLOWED, 'Only the broadcaster can do that');
+        return null;
+    }
+    return { room, roomId: sData!.roomId! };
+};
+
+const defaultViewerName = (viewerId: string) => `Viewer ${viewerId.slice(0, 4)}`;
+
+// Display names are free text: strip control characters, squash whitespace, cap the length
+const cleanDisplayName = (name: unknown) => typeof name === 'string'
+    ? name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, 40)
+    : '';
+
+// What the broadcaster's participant list shows for a viewer
+const describeViewer = (viewerId: string, ws: any) => {
+    const session = sessionData.get(ws.raw);
+    return { id: viewerId, name: session?.name ?? defaultViewerName(viewerId), joinedAt: session?.joinedAt, e2eeSupported: session?.e2eeSupported };
+};
+
+type RoomSettings = Pick<Room, 'password' | 'lobby' | 'cascade' | 'e2ee' | 'persistent'>;
+
+const newRoom = (settings: RoomSettings, broadcaster: any, ownerAddress: string): Room => ({
+    ...settings,
+    broadcaster,
+    viewers: new Map(),
+    pending: new Map(),
+    banned: new Set(),
+    ownerAddress,
+    createdAt: Date.now(),
+    chat: [],
+    chatMode: 'open',
+    parents: new Map()
+});
+
+// --- Relay Tree (cascade rooms) ---
+const HOST = 'host';
+
+const childrenOf = (room: Room, parentId: string) =>
+    [...room.parents].filter(([, parent]) => parent === parentId).map(([id]) => id);
+
+// A viewer can feed others while its socket is up (not in its resume grace period, where
+// viewer-connect would be lost) and, in E2EE rooms, when it can decrypt: the broadcaster
+// doesn't feed viewers that can't, so nothing would reach their subtree
+const canRelay = (room: Room, nodeId: string) => {
+    if (nodeId === HOST) return true;
+    const socket = room.viewers.get(nodeId);
+    if (!socket || socket.raw.readyState !== 1) return false;
+    return !room.e2ee || sessionData.get(socket.raw)?.e2eeSupported !== false;
+};
+
+// Shallowest node with a free slot, breadth-first from the broadcaster
+const pickParent = (room: Room) => {
+    const queue = [HOST];
+    while (queue.length) {
+        const node = queue.shift()!;
+        if (!canRelay(room, node)) continue;
+        const children = childrenOf(room, node);
+        if (children.length < (node === HOST ? RELAY_DIRECT_SLOTS : RELAY_FANOUT)) return node;
+        queue.push(...children);
+    }
+    return HOST;
+};
+
+const sendToNode = (room: Room, nodeId: string, message: object) => {
+    const socket = nodeId === HOST ? room.broadcaster : room.viewers.get(nodeId);
+    if (socket && socket.raw.readyState === 1) socket.send(message);
+};
+
+// The feeder connects to the new node; the broadcaster always hears about it for its participant list
+const attachToTree = (room: Room, roomId: string, viewerId: string) => {
+    const parent = pickParent(room);
+    room.parents.set(viewerId, parent);
+    const viewer = describeViewer(viewerId, room.viewers.get(viewerId));
+
+    if (parent !== HOST) {
+        log(`Viewer ${viewerId} relayed through ${parent} in room ${roomId}`);
+        sendToNode(room, parent, { type: 'viewer-connect', ...viewer });
+    }
+    sendToNode(room, HOST, { type: 'viewer-connect', ...viewer, parent });
+};
+
+// Children of a departed node are re-attached one by one, each keeping its own subtree.
+// Detached subtrees are unreachable from HOST, so pickParent can't create a cycle.
+const detachFromTree = (room: Room, roomId: string, viewerId: string) => {
+    const parent = room.parents.get(viewerId);
+    if (!parent) return;
+
+    room.parents.delete(viewerId);
+    if (parent !== HOST) sendToNode(room, parent, { type: 'viewer-disconnect', id: viewerId });
+
+    for (const child of childrenOf(room, viewerId)) {
+        room.parents.delete(child);
+        attachToTree(room, roomId, child);
+    }
+};
+
+const admitViewer = (room: Room, roomId: string, viewerId: string, ws: any) => {
+    room.viewers.set(viewerId, ws);
+    const session = sessionData.get(ws.raw)!;
+    session.joinedAt = Date.now(); // Admission time, not when they knocked
+    const resumeToken = issueResumeToken(session);
+
+    metrics.joins++;
+    log(`Viewer ${viewerId} joined room ${roomId}`);
+    ws.send({ type: 'joined-room', roomId, viewerId, resumeToken, e2ee: room.e2ee });
+    ws.send({ type: 'chat-history', messages: room.chat, mode: room.chatMode });
+
+    if (room.cascade) {
+        attachToTree(room, roomId, viewerId);
+    } else if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
+        room.broadcaster.send({ type: 'viewer-connect', ...describeViewer(viewerId, ws) });
+    }
+};
+
+// Broadcaster and admitted viewers (not the lobby)
+const broadcastToRoom = (room: Room, message: object) => {
+    for (const socket of [room.broadcaster, ...room.viewers.values()]) {
+        if (socket && socket.raw.readyState === 1) socket.send(message);
+    }
+};
+
+// Viewer IDs are per-join, so bans key on the browser's own client id. Only clients that
+// don't send one are banned by address, which would also catch everyone behind the same NAT.
+const banKey = (clientId: string | undefined, ws: any) => clientId ? `client:${clientId}` : `address:${clientAddress(ws)}`;
+
+const isBanned = (room: Room, ws: any, clientId: string | undefined) =>
+    room.banned.has(banKey(clientId, ws)) || room.banned.has(banKey(undefined, ws));
+
+// Tell a viewer why they are out, then drop their session and socket
+const dismissViewer = (room: Room, viewer: any, message: object, ban: boolean) => {
+    if (ban) room.banned.add(banKey(sessionData.get(viewer.raw)?.clientId, viewer));
+    revokeResumeToken(sessionData.get(viewer.raw));
+    sessionData.delete(viewer.raw);
+    if (viewer.raw.readyState === 1) {
+        viewer.send(message);
+        viewer.raw.close();
+    }
+};
+
+const kickViewer = (room: Room, roomId: string, viewerId: string, ban: boolean) => {
+    const viewer = room.viewers.get(viewerId);
+    if (!viewer) return false;
+
+    room.viewers.delete(viewerId);
+    log(`Viewer ${viewerId} kicked from room ${roomId}${ban ? ' (banned)' : ''}`);
+    dismissViewer(room, viewer, { type: 'kicked', banned: ban }, ban);
+    detachFromTree(room, roomId, viewerId);
+    if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
+        room.broadcaster.send({ type: 'viewer-disconnect', id: viewerId });
+    }
+    return true;
+};
+
+// --- Host Handoff ---
+// The viewer takes the broadcaster slot and the old host stays on as a viewer under a fresh id.
+// Every viewer is then announced to the new presenter as if it had just joined.
+const transferHost = (room: Room, roomId: string, ws: any) => {
+    const oldHost = room.broadcaster;
+    const oldSession = sessionData.get(oldHost.raw)!;
+    const newSession = sessionData.get(ws.raw)!;
+    const newHostId = newSession.id!;
+    const oldHostId = Math.random().toString(36).substr(2, 9);
+
+    room.handoff = undefined;
+    room.viewers.delete(newHostId);
+    room.viewers.set(oldHostId, oldHost);
+    room.broadcaster = ws;
+    room.ownerAddress = clientAddress(ws); // The per-IP room cap follows the presenter
+
+    Object.assign(newSession, { role: 'broadcaster', id: undefined });
+    Object.assign(oldSession, { role: 'viewer', id: oldHostId, name: oldSession.name ?? 'Previous host', joinedAt: Date.now() });
+    for (const session of [newSession, oldSession]) {
+        const entry = session.resumeToken ? resumeTokens.get(session.resumeToken) : undefined;
+        if (entry) Object.assign(entry, { role: session.role, id: session.id });
+    }
+
+    log(`Viewer ${newHostId} took over presenting in room ${roomId}`);
+    ws.send({
+        type: 'host-changed', role: 'broadcaster', roomId,
+        pending: [...room.pending].map(([viewerId, viewer]) => describeViewer(viewerId, viewer)),
+        lobby: room.lobby
+    });
+    for (const [viewerId, viewer] of room.viewers) {
+        if (viewer.raw.readyState === 1) viewer.send({ type: 'host-changed', role: 'viewer', roomId, viewerId });
+    }
+
+    announceViewers(room, roomId);
+};
+
+// Every viewer is offered to the (new) broadcaster as if it had just joined
+const announceViewers = (room: Room, roomId: string) => {
+    room.parents.clear();
+    for (const [viewerId, viewer] of room.viewers) {
+        if (room.cascade) attachToTree(room, roomId, viewerId);
+        else sendToNode(room, HOST, { type: 'viewer-connect', ...describeViewer(viewerId, viewer) });
+    }
+};
+
+// --- Reserved Rooms ---
+// Named rooms outlive their broadcaster: viewers can wait in them, and only the holder of the
+// owner token can present. The first create-room with a free name reserves it and gets the token.
+const reservedSettings = (entry: ReservedRoom): RoomSettings => ({
+    password: entry.password
+        ? { salt: Buffer.from(entry.password.salt, 'hex'), hash: Buffer.from(entry.password.hash, 'hex') }
+        : undefined,
+    lobby: entry.lobby,
+    cascade: entry.cascade,
+    e2ee: entry.e2ee,
+    persistent: true
+});
+
+// Viewers opening a reserved room's link wait in it until the owner starts
+const wakeReservedRoom = (name: string) => {
+    const entry = roomStore.get(name);
+    if (!entry) return undefined;
+
+    const room = newRoom(reservedSettings(entry), null, '');
+    rooms.set(name, room);
+    log(`Reserved room ${name} opened by a viewer`);
+    return room;
+};
+
+// Global and per-address caps on live rooms; an `existing` room is already counted towards the global one
+const roomLimitReached = (address: string, existing = false) =>
+    (!existing && rooms.size >= MAX_ROOMS) ||
+    [...rooms.values()].filter(r => r.ownerAddress === address).length >= MAX_ROOMS_PER_IP;
+
+// A reserved room nobody is in (or may resume into) goes back to being just a name in the store
+const releaseIdleRoom = (roomId: string) => {
+    const room = rooms.get(roomId);
+    if (!room?.persistent || room.broadcaster || room.viewers.size || room.pending.size) return;
+    if ([...resumeTokens.values()].some(entry => entry.roomId === roomId)) return;
+    rooms.delete(roomId);
+};
+
+// Every check runs before anything is persisted, so a refused claimant can't leave behind
+// a reservation whose owner token nobody received
+const claimReservedRoom = (ws: any, data: any, address: string) => {
+    const name: string = data.name;
+    let entry = roomStore.get(name);
+    let room = rooms.get(name);
+
+    if (entry && (!data.ownerToken || !roomStore.isOwner(entry, data.ownerToken))) {
+        sendError(ws, ErrorCodes.NOT_OWNER, 'This room name is reserved', 'create-room');
+        return;
+    }
+    if (room?.broadcaster && room.broadcaster.raw.readyState === 1) {
+        sendError(ws, ErrorCodes.ROOM_IN_USE, 'Someone is already presenting in this room', 'create-room');
+        return;
+    }
+    // A room viewers are already waiting in counts towards MAX_ROOMS as it is
+    if (roomLimitReached(address, !!room)) {
+        sendError(ws, ErrorCodes.TOO_MANY_ROOMS, 'Room limit reached, close a room first');
+        return;
+    }
+    if (!entry && (roomStore.size() >= MAX_RESERVED_ROOMS || roomStore.countReservedBy(address) >= MAX_RESERVED_ROOMS_PER_IP)) {
+        sendError(ws, ErrorCodes.TOO_MANY_ROOMS, 'No more room names can be reserved');
+        return;
+    }
+
+    let ownerToken: string | undefined; // Only sent back when the name was just reserved
+    if (entry) {
+        roomStore.touch(name);
+    } else {
+        ownerToken = randomBytes(24).toString('base64url');
+        const password = data.password ? hashPassword(data.password) : undefined;
+        roomStore.reserve(name, ownerToken, address, {
+            password: password && { salt: password.salt.toString('hex'), hash: password.hash.toString('hex') },
+            lobby: !!data.lobby,
+            cascade: !!data.cascade,
+            e2ee: !!data.e2ee
+        });
+        entry = roomStore.get(name)!;
+        log(`Room name ${name} reserved`);
+    }
+
+    // Starting over replaces a previous session still held for resume
+    for (const [token, held] of resumeTokens) {
+        if (held.roomId !== name || held.role !== 'broadcaster') continue;
+        clearTimeout(held.timer);
+        resumeTokens.delete(token);
+    }
+
+    if (!room) {
+        room = newRoom(reservedSettings(entry), null, address);
+        rooms.set(name, room);
+    }
+    room.broadcaster = ws;
+    room.ownerAddress = address;
+    metrics.roomsCreated++;
+
+    const session: Session = { role: 'broadcaster', roomId: name };
+    sessionData.set(ws.raw, session);
+    const resumeToken = issueResumeToken(session);
+
+    log(`Owner started reserved room ${name}`);
+    ws.send({
+        type: 'room-created', roomId: name, protected: !!room.password, lobby: room.lobby, cascade: room.cascade,
+        e2ee: room.e2ee, persistent: true, ownerToken, resumeToken
+    });
+
+    // Whoever was already waiting for the owner
+    for (const [viewerId, viewer] of room.pending) {
+        ws.send({ type: 'viewer-knock', id: viewerId, name: describeViewer(viewerId, viewer).name });
+    }
+    for (const viewer of room.viewers.values()) {
+        if (viewer.raw.readyState === 1) viewer.send({ type: 'broadcaster-back' });
+    }
+    announceViewers(room, name);
+};
+
 const handleMessage = (ws: any, message: any) => {
     try {
-        const data = typeof message === 'string' ? JSON.parse(message) : message;
+        let raw;
+        try {
+            raw = typeof message === 'string' ? JSON.parse(message) : message;
+        } catch {
+            sendError(ws, ErrorCodes.BAD_MESSAGE, 'Message is not valid JSON');
+            return;
+        }
+
+        // Only fields declared in the protocol survive parsing, so relayed messages are clean
+        const parsed = Protocol.parseMessage(raw);
+        if (!parsed.ok) {
+            sendError(ws, parsed.code, parsed.message);
+            return;
+        }
+        const data: any = parsed.message;
         // console.log('Msg:', data.type); // Debug
 
+        if (data.type !== 'hello' && !protocolVersions.has(ws.raw)) {
+            sendError(ws, ErrorCodes.HELLO_REQUIRED, 'Send hello before any other message');
+            return;
+        }
+
         switch (data.type) {
+            case 'hello': {
+                const version = Protocol.negotiateVersion(data.version);
+                if (version === null) {
+                    sendError(ws, ErrorCodes.UNSUPPORTED_VERSION,
+                        `Protocol ${data.version} not supported (server speaks ${Protocol.MIN_PROTOCOL_VERSION}-${Protocol.PROTOCOL_VERSION})`);
+                    return;
+                }
+                protocolVersions.set(ws.raw, version);
+                ws.send({ type: 'welcome', version });
+                break;
+            }
+
             case 'create-room': {
+                if (checkRateLimit(ws, data.type)) return;
+                if (sessionData.get(ws.raw)?.roomId) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Already in a room');
+                    return;
+                }
+
+                const address = clientAddress(ws);
+                if (data.name) {
+                    claimReservedRoom(ws, data, address);
+                    break;
+                }
+
+                if (roomLimitReached(address)) {
+                    sendError(ws, ErrorCodes.TOO_MANY_ROOMS, 'Room limit reached, close a room first');
+                    return;
+                }
+
                 let roomId = generateRoomId();
                 while (rooms.has(roomId)) roomId = generateRoomId();
 
-                rooms.set(roomId, {
-                    broadcaster: ws,
-                    viewers: new Map()
-                });
+                const password = typeof data.password === 'string' ? data.password : '';
+
+                rooms.set(roomId, newRoom({
+                    password: password ? hashPassword(password) : undefined,
+                    lobby: !!data.lobby,
+                    cascade: !!data.cascade,
+                    e2ee: !!data.e2ee,
+                    persistent: false
+                }, ws, address));
+                metrics.roomsCreated++;
 
                 // Store session on RAW socket
-                sessionData.set(ws.raw, { role: 'broadcaster', roomId });
+                const session: Session = { role: 'broadcaster', roomId };
+                sessionData.set(ws.raw, session);
+                const resumeToken = issueResumeToken(session);
 
-                log(`Room created: ${roomId}`);
-                ws.send({ type: 'room-created', roomId });
+                log(`Room created: ${roomId}${password ? ' (protected)' : ''}${data.cascade ? ' (cascade)' : ''}${data.e2ee ? ' (e2ee)' : ''}`);
+                ws.send({
+                    type: 'room-created', roomId, protected: !!password, lobby: !!data.lobby, cascade: !!data.cascade,
+                    e2ee: !!data.e2ee, resumeToken
+                });
                 break;
             }
 
             case 'join-room': {
+                const limited = checkRateLimit(ws, data.type);
+                if (limited) {
+                    rejectJoin(ws, limited, ''); // Already replied
+                    return;
+                }
+                if (sessionData.get(ws.raw)?.roomId) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Already in a room');
+                    return;
+                }
+
                 const { roomId } = data;
-                const room = rooms.get(roomId);
+                const room = rooms.get(roomId) ?? wakeReservedRoom(roomId);
 
                 if (!room) {
-                    ws.send({ type: 'error', message: 'Room not found' });
+                    recordJoinFailure(ws);
+                    rejectJoin(ws, ErrorCodes.ROOM_NOT_FOUND, 'Room not found');
                     return;
                 }
 
-                const viewerId = Math.random().toString(36).substr(2, 9);
+                // A reserved room woken just for this join goes back to sleep if the join fails
+                const refuse = (code: string, message: string) => {
+                    rejectJoin(ws, code, message);
+                    releaseIdleRoom(roomId);
+                };
 
-                room.viewers.set(viewerId, ws);
+                if (isBanned(room, ws, data.clientId)) {
+                    refuse(ErrorCodes.BANNED, 'You have been banned from this room');
+                    return;
+                }
+
+                if (room.password) {
+                    if (typeof data.password !== 'string' || !data.password) {
+                        refuse(ErrorCodes.PASSWORD_REQUIRED, 'This room requires a passphrase');
+                        return;
+                    }
+                    if (!verifyPassword(data.password, room.password)) {
+                        recordJoinFailure(ws);
+                        log(`Wrong passphrase for room ${roomId}`);
+                        refuse(ErrorCodes.WRONG_PASSWORD, 'Wrong passphrase');
+                        return;
+                    }
+                }
+
+                if (room.viewers.size + room.pending.size >= MAX_VIEWERS_PER_ROOM) {
+                    refuse(ErrorCodes.ROOM_FULL, 'This room is full');
+                    return;
+                }
+
+                const viewerId = Math.random().toString(36).substr(2, 9);
 
                 // Store session on RAW socket
-                sessionData.set(ws.raw, { role: 'viewer', roomId, id: viewerId });
+                const name = cleanDisplayName(data.name) || defaultViewerName(viewerId);
+                sessionData.set(ws.raw, {
+                    role: 'viewer', roomId, id: viewerId, name, e2eeSupported: data.e2eeSupported, clientId: data.clientId
+                });
+
+                if (room.lobby) {
+                    room.pending.set(viewerId, ws);
+                    log(`Viewer ${viewerId} knocking on room ${roomId}`);
+                    ws.send({ type: 'waiting-room', roomId, viewerId });
+
+                    if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
+                        room.broadcaster.send({ type: 'viewer-knock', id: viewerId, name });
+                    }
+                    break;
+                }
+
+                admitViewer(room, roomId, viewerId, ws);
+                break;
+            }
+
+            case 'resume': {
+                // One session per socket: taking over a second slot would leave it registered in both
+                if (sessionData.get(ws.raw)?.roomId) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Already in a room');
+                    return;
+                }
+                const token = typeof data.token === 'string' ? data.token : '';
+                const entry = resumeTokens.get(token);
+                const room = entry && rooms.get(entry.roomId);
+                if (!entry || !room || (entry.role === 'viewer' && !room.viewers.has(entry.id!))) {
+                    sendError(ws, ErrorCodes.RESUME_FAILED, 'Session expired');
+                    return;
+                }
+
+                clearTimeout(entry.timer);
+                entry.timer = undefined;
+                const { role, roomId, id } = entry;
+
+                // A half-open old socket may still be around: take its place
+                const previous = role === 'broadcaster' ? room.broadcaster : room.viewers.get(id!);
+                const previousSession = previous ? sessionData.get(previous.raw) : undefined;
+                if (previous && previous.raw !== ws.raw) {
+                    sessionData.delete(previous.raw);
+                    if (previous.raw.readyState === 1) previous.raw.close();
+                }
+
+                sessionData.set(ws.raw, { ...previousSession, role, roomId, id, resumeToken: token });
+
+                if (role === 'broadcaster') {
+                    room.broadcaster = ws;
+                    log(`Broadcaster resumed room ${roomId}`);
+                    ws.send({
+                        type: 'resumed', role, roomId,
+                        viewers: [...room.viewers].map(([viewerId, viewer]) =>
+                            ({ ...describeViewer(viewerId, viewer), parent: room.parents.get(viewerId) })),
+                        pending: [...room.pending].map(([viewerId, viewer]) => describeViewer(viewerId, viewer)),
+                        protected: !!room.password,
+                        lobby: room.lobby
+                    });
+                    for (const viewer of room.viewers.values()) {
+                        if (viewer.raw.readyState === 1) viewer.send({ type: 'broadcaster-back' });
+                    }
+                } else {
+                    room.viewers.set(id!, ws);
+                    log(`Viewer ${id} resumed in room ${roomId}`);
+                    ws.send({ type: 'resumed', role, roomId, viewerId: id });
+                    if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
+                        room.broadcaster.send({ type: 'viewer-resumed', id });
+                    }
+                    // A relaying parent renegotiates too
+                    const parent = room.parents.get(id!);
+                    if (parent && parent !== HOST) sendToNode(room, parent, { type: 'viewer-resumed', id });
+                }
+                break;
+            }
+
+            case 'get-ice': {
+                // TURN credentials only go to room members, so the TURN server isn't an open relay
+                const sData = sessionData.get(ws.raw);
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room || (sData!.role === 'viewer' && !room.viewers.has(sData!.id!))) {
+                    sendError(ws, ErrorCodes.NOT_IN_ROOM, 'Join a room first', 'get-ice');
+                    return;
+                }
+                if (!hitRateLimit(getSocketHits(ws), 'get-ice', ICE_RATE_LIMIT)) {
+                    sendError(ws, ErrorCodes.RATE_LIMITED, 'Too many ICE server requests', 'get-ice');
+                    return;
+                }
+                ws.send({ type: 'ice-servers', ...getIceServers() });
+                break;
+            }
+
+            case 'leave': {
+                // Deliberate exit: skip the grace period on close
+                revokeResumeToken(sessionData.get(ws.raw));
+                break;
+            }
+
+            case 'chat': {
+                const sData = sessionData.get(ws.raw);
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                // Viewers still in the lobby can't post or read
+                if (!room || (sData!.role === 'viewer' && !room.viewers.has(sData!.id!))) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Join a room to chat', 'chat');
+                    return;
+                }
+
+                const isHost = sData!.role === 'broadcaster';
+                if (room.chatMode === 'off' || (room.chatMode === 'read-only' && !isHost)) {
+                    sendError(ws, ErrorCodes.CHAT_DISABLED, room.chatMode === 'off' ? 'Chat is turned off' : 'Chat is read-only', 'chat');
+                    return;
+                }
+
+                const text = data.text.trim();
+                if (!text) return;
+
+                if (!hitRateLimit(getSocketHits(ws), 'chat', CHAT_RATE_LIMIT, CHAT_RATE_WINDOW_MS)) {
+                    sendError(ws, ErrorCodes.RATE_LIMITED, 'You are sending messages too fast', 'chat');
+                    return;
+                }
+
+                const chat: ChatMessage = {
+                    id: randomBytes(6).toString('hex'),
+                    from: isHost ? 'host' : sData!.id!,
+                    name: isHost ? 'Host' : sData!.name ?? defaultViewerName(sData!.id!),
+                    text,
+                    ts: Date.now()
+                };
+                room.chat.push(chat);
+                if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+
+                broadcastToRoom(room, { type: 'chat', ...chat });
+                break;
+            }
+
+            case 'chat-settings': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
+
+                room.chatMode = data.mode;
+                log(`Chat set to ${data.mode} in room ${roomId}`);
+                broadcastToRoom(room, { type: 'chat-settings', mode: room.chatMode });
+                break;
+            }
+
+            case 'set-lobby': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
+
+                room.lobby = !!data.enabled;
+                log(`Lobby ${room.lobby ? 'enabled' : 'disabled'} for room ${roomId}`);
+
+                // Turning the lobby off lets everyone who was waiting in
+                if (!room.lobby) {
+                    for (const [id, viewer] of room.pending) {
+                        room.pending.delete(id);
+                        admitViewer(room, roomId, id, viewer);
+                    }
+                }
+                break;
+            }
+
+            case 'admit': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
+
+                const viewer = room.pending.get(data.id);
+                if (!viewer) return;
+
+                room.pending.delete(data.id);
+                admitViewer(room, roomId, data.id, viewer);
+                break;
+            }
+
+            case 'deny': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
+
+                const viewer = room.pending.get(data.id);
+                if (!viewer) return;
+
+                room.pending.delete(data.id);
+                log(`Viewer ${data.id} denied from room ${roomId}${data.ban ? ' (banned)' : ''}`);
+                dismissViewer(room, viewer, data.ban
+                    ? Protocol.createError(ErrorCodes.BANNED, 'You have been banned from this room')
+                    : Protocol.createError(ErrorCodes.JOIN_DENIED, 'The host declined your request to join'),
+                    !!data.ban);
+                ws.send({ type: 'viewer-disconnect', id: data.id });
+                break;
+            }
+
+            case 'kick': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
+
+                kickViewer(room, roomId, data.id, !!data.ban);
+                break;
+            }
 
-                log(`Viewer ${viewerId} joined room ${roomId}`);
-                ws.send({ type: 'joined-room', roomId, viewerId });
+            case 'handoff': {
+                const owned = requireBroadcasterRoom(ws);
+                if (!owned) return;
+                const { room, roomId } = owned;
 
-                if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
-                    room.broadcaster.send({ type: 'viewer-connect', id: viewerId });
+                if (room.persistent) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Only the owner can present in a reserved room', 'handoff');
+                    return;
+                }
+                const viewer = room.viewers.get(data.id);
+                if (!viewer || viewer.raw.readyState !== 1) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'That viewer is not connected', 'handoff');
+                    return;
+                }
+                room.handoff = data.id; // Replaces any earlier request
+                log(`Viewer ${data.id} asked to present in room ${roomId}`);
+                viewer.send({ type: 'handoff-request' });
+                break;
+            }
+
+            case 'handoff-accept': {
+                const sData = sessionData.get(ws.raw);
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room || sData!.role !== 'viewer' || room.handoff !== sData!.id ||
+                    !room.viewers.has(sData!.id!) || !room.broadcaster || room.broadcaster.raw.readyState !== 1) {
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'The host is no longer handing over', 'handoff');
+                    return;
                 }
+                transferHost(room, sData!.roomId!, ws);
+                break;
+            }
+
+            case 'handoff-decline': {
+                const sData = sessionData.get(ws.raw);
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room || room.handoff !== sData!.id) return;
+
+                room.handoff = undefined;
+                sendToNode(room, HOST, { type: 'handoff-declined', id: sData!.id });
                 break;
             }
 
             case 'offer': {
                 const sData = sessionData.get(ws.raw);
-                if (!sData?.roomId) {
-                    console.warn('Offer rejected: No session data');
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room) {
+                    sendError(ws, ErrorCodes.NOT_IN_ROOM, 'Join a room before signaling', data.type);
                     return;
                 }
 
-                const room = rooms.get(sData.roomId);
-                if (room && data.to && room.viewers.has(data.to)) {
-                    // console.log(`Forwarding offer to ${data.to}`);
-                    room.viewers.get(data.to).send(data);
+                // Viewers only offer to the children they relay to
+                if (sData!.role !== 'broadcaster') {
+                    if (room.parents.get(data.to) !== sData!.id || !room.viewers.has(data.to)) {
+                        sendError(ws, ErrorCodes.NOT_ALLOWED, 'Only the broadcaster can send offers', data.type);
+                        return;
+                    }
+                    room.viewers.get(data.to).send({ ...data, from: sData!.id });
+                    metrics.offers++;
+                    return;
+                }
+
+                if (!room.viewers.has(data.to)) {
+                    sendError(ws, ErrorCodes.UNKNOWN_PEER, `No viewer ${data.to} in this room`, data.type);
+                    return;
                 }
+                room.viewers.get(data.to).send(data);
+                metrics.offers++;
                 break;
             }
 
             case 'answer': {
                 const sData = sessionData.get(ws.raw);
-                if (!sData?.roomId) return;
-
-                const room = rooms.get(sData.roomId);
-                if (room) {
-                    if (sData.role === 'viewer' && room.broadcaster) {
-                        room.broadcaster.send(data);
-                    } else if (sData.role === 'broadcaster' && data.to) {
-                        if (room.viewers.has(data.to)) {
-                            room.viewers.get(data.to).send(data);
-                        }
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room) {
+                    sendError(ws, ErrorCodes.NOT_IN_ROOM, 'Join a room before signaling', data.type);
+                    return;
+                }
+
+                if (sData!.role === 'viewer') {
+                    if (!room.viewers.has(sData!.id!)) {
+                        sendError(ws, ErrorCodes.NOT_ALLOWED, 'Still waiting to be admitted', data.type);
+                        return;
                     }
+                    // Answers go to whoever feeds this viewer; viewers can't spoof `from`
+                    sendToNode(room, room.parents.get(sData!.id!) ?? HOST, { ...data, from: sData!.id });
+                    metrics.answers++;
+                } else {
+                    if (!data.to || !room.viewers.has(data.to)) {
+                        sendError(ws, ErrorCodes.UNKNOWN_PEER, `No viewer ${data.to} in this room`, data.type);
+                        return;
+                    }
+                    room.viewers.get(data.to).send(data);
+                    metrics.answers++;
                 }
                 break;
             }
 
             case 'candidate': {
                 const sData = sessionData.get(ws.raw);
-                if (!sData?.roomId) return;
-
-                const room = rooms.get(sData.roomId);
-                if (!room) return;
+                const room = sData?.roomId ? rooms.get(sData.roomId) : undefined;
+                if (!room) {
+                    sendError(ws, ErrorCodes.NOT_IN_ROOM, 'Join a room before signaling', data.type);
+                    return;
+                }
 
-                if (sData.role === 'broadcaster') {
-                    if (data.to && room.viewers.has(data.to)) {
-                        room.viewers.get(data.to).send(data);
+                if (sData!.role === 'broadcaster') {
+                    if (!data.to || !room.viewers.has(data.to)) {
+                        sendError(ws, ErrorCodes.UNKNOWN_PEER, `No viewer ${data.to} in this room`, data.type);
+                        return;
                     }
+                    room.viewers.get(data.to).send(data);
+                    metrics.candidates++;
+                } else if (room.viewers.has(sData!.id!)) {
+                    // Towards a relay child, or up to this viewer's own feeder
+                    const target = data.to && room.parents.get(data.to) === sData!.id
+                        ? data.to
+                        : room.parents.get(sData!.id!) ?? HOST;
+                    sendToNode(room, target, { ...data, from: sData!.id });
+                    metrics.candidates++;
                 } else {
-                    if (room.broadcaster) {
-                        room.broadcaster.send(data);
-                    }
+                    sendError(ws, ErrorCodes.NOT_ALLOWED, 'Still waiting to be admitted', data.type);
                 }
                 break;
             }
         }
     } catch (e) {
-        console.error('Error processing message:', e);
+        logError('Error processing message:', e);
     }
 }
 
-const handleClose = (ws: any) => {
-    const sData = sessionData.get(ws.raw);
-    if (!sData) return;
+// Tell everyone still connected, then forget the room and its resume tokens
+const destroyRoom = (roomId: string, reason?: string) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    for (const viewer of [...room.viewers.values(), ...room.pending.values()]) {
+        if (viewer.raw.readyState === 1) {
+            viewer.send({ type: 'room-closed', reason });
+        }
+    }
+    rooms.delete(roomId);
 
-    const { role, roomId, id } = sData;
+    for (const [token, entry] of resumeTokens) {
+        if (entry.roomId !== roomId) continue;
+        clearTimeout(entry.timer);
+        resumeTokens.delete(token);
+    }
+};
 
-    // Clean up session data
-    sessionData.delete(ws.raw);
+// Admin force-close: unlike a broadcaster leaving, every socket is dropped
+const forceCloseRoom = (roomId: string) => {
+    const room = rooms.get(roomId);
+    if (!room) return false;
+
+    log(`Room ${roomId} closed by admin`);
+    const sockets = [room.broadcaster, ...room.viewers.values(), ...room.pending.values()].filter(Boolean);
+    if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
+        room.broadcaster.send({ type: 'room-closed', reason: 'admin' });
+    }
+    destroyRoom(roomId, 'admin');
+    for (const socket of sockets) {
+        sessionData.delete(socket.raw);
+        if (socket.raw.readyState === 1) socket.raw.close();
+    }
+    return true;
+};
 
-    if (!roomId) return;
+// Remove a participant for good: the broadcaster leaving destroys the room
+const leaveRoom = (role: string | undefined, roomId: string, id?: string) => {
     const room = rooms.get(roomId);
     if (!room) return;
 
     if (role === 'broadcaster') {
-        log(`Broadcaster left room ${roomId}. Destroying room.`);
-        for (const viewer of room.viewers.values()) {
-            if (viewer.raw.readyState === 1) {
-                viewer.send({ type: 'room-closed' });
+        if (room.persistent) {
+            log(`Owner left reserved room ${roomId}, keeping it open`);
+            room.broadcaster = null;
+            room.handoff = undefined;
+            room.parents.clear();
+            for (const viewer of room.viewers.values()) {
+                if (viewer.raw.readyState === 1) viewer.send({ type: 'broadcaster-left' });
             }
+            releaseIdleRoom(roomId);
+            return;
         }
-        rooms.delete(roomId);
+        log(`Broadcaster left room ${roomId}. Destroying room.`);
+        destroyRoom(roomId);
     } else {
-        if (id && room.viewers.has(id)) {
+        if (id && (room.viewers.has(id) || room.pending.has(id))) {
             room.viewers.delete(id);
+            room.pending.delete(id);
+            detachFromTree(room, roomId, id);
             log(`Viewer ${id} left room ${roomId}`);
             if (room.broadcaster && room.broadcaster.raw.readyState === 1) {
                 room.broadcaster.send({ type: 'viewer-disconnect', id });
             }
+            releaseIdleRoom(roomId);
+        }
+    }
+};
+
+const handleClose = (ws: any) => {
+    const sData = sessionData.get(ws.raw);
+    if (!sData) return;
+
+    const { role, roomId, id, resumeToken } = sData;
+    const room = roomId ? rooms.get(roomId) : undefined;
+
+    // Hold the slot so a blip in the connection doesn't end the session.
+    // The session stays on the dead socket meanwhile so a resume can pick up its details.
+    const entry = resumeToken ? resumeTokens.get(resumeToken) : undefined;
+    if (room && entry && RESUME_GRACE_MS > 0) {
+        log(`${role === 'broadcaster' ? 'Broadcaster' : `Viewer ${id}`} dropped from room ${roomId}, holding for ${RESUME_GRACE_MS}ms`);
+
+        if (role === 'broadcaster') {
+            room.broadcaster = null;
+            for (const viewer of room.viewers.values()) {
+                if (viewer.raw.readyState === 1) viewer.send({ type: 'broadcaster-away' });
+            }
         }
+
+        entry.timer = setTimeout(() => {
+            resumeTokens.delete(resumeToken!);
+            sessionData.delete(ws.raw);
+            leaveRoom(role, roomId!, id);
+        }, RESUME_GRACE_MS);
+        return;
     }
+
+    // Clean up session data
+    sessionData.delete(ws.raw);
+    revokeResumeToken(sData);
+    if (roomId) leaveRoom(role, roomId, id);
 }
 
+// --- Admin & Metrics ---
+
+// Constant-time bearer token check (hashing first evens out the lengths)
+const hasBearerToken = (header: string | undefined | null, token: string) => {
+    if (!token || !header?.startsWith('Bearer ')) return false;
+    const digest = (value: string) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(header.slice(7)), digest(token));
+};
+
+const listRooms = () => [...rooms.entries()].map(([id, room]) => ({
+    id,
+    viewers: room.viewers.size,
+    viewerIds: [...room.viewers.keys()],
+    viewerNames: [...room.viewers].map(([viewerId, viewer]) => describeViewer(viewerId, viewer).name),
+    pending: room.pending.size,
+    ageSeconds: Math.floor((Date.now() - room.createdAt) / 1000),
+    broadcasterConnected: !!room.broadcaster && room.broadcaster.raw.readyState === 1,
+    protected: !!room.password,
+    lobby: room.lobby,
+    cascade: room.cascade,
+    e2ee: room.e2ee,
+    persistent: room.persistent
+}));
+
+// Prometheus text exposition format
+const renderMetrics = () => {
+    const lines: string[] = [];
+    const metric = (name: string, type: string, help: string, values: [string, number][]) => {
+        lines.push(`# HELP chinshare_${name} ${help}`, `# TYPE chinshare_${name} ${type}`);
+        for (const [labels, value] of values) lines.push(`chinshare_${name}${labels} ${value}`);
+    };
 
-const webappDir = resolve(join(import.meta.dir, '../webapp'));
+    let viewers = 0;
+    let pending = 0;
+    let broadcasters = 0;
+    for (const room of rooms.values()) {
+        viewers += room.viewers.size;
+        pending += room.pending.size;
+        if (room.broadcaster && room.broadcaster.raw.readyState === 1) broadcasters++;
+    }
+
+    metric('rooms_created_total', 'counter', 'Rooms created', [['', metrics.roomsCreated]]);
+    metric('joins_total', 'counter', 'Viewers admitted to a room', [['', metrics.joins]]);
+    metric('failed_joins_total', 'counter', 'Rejected join-room requests by error code',
+        [...metrics.failedJoins].map(([code, count]) => [`{reason="${code}"}`, count]));
+    metric('relayed_offers_total', 'counter', 'Offers relayed to viewers', [['', metrics.offers]]);
+    metric('relayed_answers_total', 'counter', 'Answers relayed', [['', metrics.answers]]);
+    metric('relayed_candidates_total', 'counter', 'ICE candidates relayed', [['', metrics.candidates]]);
+    metric('rooms', 'gauge', 'Active rooms', [['', rooms.size]]);
+    metric('viewers', 'gauge', 'Connected viewers', [['', viewers]]);
+    metric('pending_viewers', 'gauge', 'Viewers waiting in a lobby', [['', pending]]);
+    metric('broadcasters', 'gauge', 'Connected broadcasters', [['', broadcasters]]);
+    metric('sockets', 'gauge', 'Open WebSocket connections', [['', metrics.openSockets]]);
+    return lines.join('\n') + '\n';
+};
+
+const webappDir = config.staticDir;
 const indexHtml = join(webappDir, 'index.html');
 const styleCss = join(webappDir, 'style.css');
 const scriptJs = join(webappDir, 'script.js');
+const protocolJs = join(webappDir, 'protocol.js');
+const clientJs = join(webappDir, 'client.js');
+const e2eeWorkerJs = join(webappDir, 'e2ee-worker.js');
 
-console.log('Server root:', import.meta.dir);
-console.log('Serving from:', webappDir);
+logDebug('Server root:', import.meta.dir);
+log('Serving from:', webappDir);
+log(`ICE: ${STUN_URLS.length} STUN, ${TURN_URLS.length} TURN URL(s)`);
+if (TURN_URLS.length && !TURN_SECRET) logWarn('TURN_URLS set without TURN_SECRET: TURN disabled');
+if (!STUN_URLS.length && !TURN_URLS.length) logWarn('No STUN or TURN servers configured: peers can only connect on the same network');
+log(`WebSocket origins: ${config.allowedOrigins.length ? config.allowedOrigins.join(', ') : 'same origin only'}`);
+if (config.trustedProxies.length) log(`Trusting X-Forwarded-For from: ${config.trustedProxies.join(', ')}`);
 
-const server = new Elysia()
-    .use(cors({ origin: true }))
+const server = new Elysia({
+    // Oversized frames are refused (close code 1009) before anything parses them
+    websocket: { maxPayloadLength: MAX_MESSAGE_BYTES }
+})
+    .use(cors({ origin: config.allowedOrigins.includes('*') ? true : config.allowedOrigins }))
     .ws('/ws', {
-        open(ws) { },
+        // CORS doesn't apply to WebSockets: without this any site could drive a visitor's session
+        beforeHandle({ request }) {
+            const origin = request.headers.get('origin');
+            if (!isOriginAllowed(config, origin, request.headers.get('host'))) {
+                logWarn(`Rejected WebSocket from origin ${origin}`);
+                return new Response('Forbidden origin', { status: 403 });
+            }
+        },
+        open(ws) {
+            metrics.openSockets++;
+            rememberClientAddress(ws);
+        },
         message(ws, message) { handleMessage(ws, message) },
-        close(ws) { handleClose(ws) }
+        close(ws) {
+            metrics.openSockets--;
+            handleClose(ws);
+        }
+    })
+    .get('/metrics', ({ headers }) => {
+        if (METRICS_TOKEN && !hasBearerToken(headers.authorization, METRICS_TOKEN)) {
+            return new Response('Unauthorized', { status: 401 });
+        }
+        return new Response(renderMetrics(), { headers: { 'content-type': 'text/plain; version=0.0.4' } });
     })
+    // Admin API: Authorization: Bearer $ADMIN_TOKEN
+    .group('/admin', (app) => app
+        .onBeforeHandle(({ headers }) => {
+            if (!hasBearerToken(headers.authorization, ADMIN_TOKEN)) {
+                return new Response('Unauthorized', { status: 401 });
+            }
+        })
+        .get('/rooms', () => listRooms())
+        .delete('/rooms/:id', ({ params }) => forceCloseRoom(params.id)
+            ? { ok: true }
+            : new Response('Room not found', { status: 404 }))
+        .delete('/rooms/:id/viewers/:viewerId', ({ params }) => {
+            const room = rooms.get(params.id);
+            if (room && kickViewer(room, params.id, params.viewerId, false)) return { ok: true };
+            return new Response('Viewer not found', { status: 404 });
+        })
+        .get('/reserved', () => roomStore.list())
+        // Frees the name; a live session runs until its broadcaster leaves, a waiting room closes now
+        .delete('/reserved/:name', ({ params }) => {
+            if (!roomStore.release(params.name)) return new Response('Room name not reserved', { status: 404 });
+            const room = rooms.get(params.name);
+            if (room) {
+                room.persistent = false;
+                if (!room.broadcaster) destroyRoom(params.name, 'admin');
+            }
+            log(`Room name ${params.name} released by admin`);
+            return { ok: true };
+        })
+    )
     // SECURE: Strict whitelist of allowed files
     .get('/style.css', () => file(styleCss))
     .get('/script.js', () => file(scriptJs))
+    .get('/protocol.js', () => file(protocolJs))
+    .get('/client.js', () => file(clientJs))
+    .get('/e2ee-worker.js', () => file(e2eeWorkerJs))
     .get('/', () => file(indexHtml))
+    .get('/embed', () => file(indexHtml)) // Viewer-only; script.js switches on the path
     // SECURE: Block everything else
     .all('*', (c) => {
-        console.log('404 for:', c.path);
+        logDebug('404 for:', c.path);
         return new Response('Not Found / Forbidden', { status: 404 });
     })
-    .listen(PORT);
+    .listen({
+        port: config.port,
+        hostname: config.host,
+        // getDisplayMedia needs a secure context: serve HTTPS/WSS directly when given a certificate
+        tls: config.tls ? { cert: Bun.file(config.tls.cert), key: Bun.file(config.tls.key) } : undefined
+    });
 
-log(`Unified Server running at http://localhost:${PORT}`);
+log(`Unified Server running at ${config.tls ? 'https' : 'http'}://${config.host}:${config.port}`);
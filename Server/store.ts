@@ -0,0 +1,87 @@
+// Reserved (vanity) rooms, kept in a small JSON file so names and owner tokens survive restarts.
+// Only hashes of each owner token and of the reserving client's address are stored.
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+
+export type ReservedRoom = {
+    tokenHash: string; // sha256 of the owner token, hex
+    addressHash: string; // sha256 of the address that reserved it, for the per-address cap
+    createdAt: number;
+    lastUsedAt: number; // Last time the owner started it; idle names expire
+    // Room settings, fixed at reservation so every session's links keep working
+    password?: { salt: string, hash: string }; // scrypt, hex
+    lobby: boolean;
+    cascade: boolean;
+    e2ee: boolean;
+};
+
+const hashToken = (token: string) => createHash('sha256').update(token).digest();
+const hashAddress = (address: string) => createHash('sha256').update(`address:${address}`).digest('hex');
+
+export const createRoomStore = (path: string) => {
+    const rooms = new Map<string, ReservedRoom>(
+        existsSync(path) ? Object.entries(JSON.parse(readFileSync(path, 'utf8'))) : []
+    );
+
+    // Write to a temp file and rename, so a crash mid-write can't truncate the store
+    const save = () => {
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(`${path}.tmp`, JSON.stringify(Object.fromEntries(rooms), null, 2));
+        renameSync(`${path}.tmp`, path);
+    };
+
+    return {
+        get: (name: string) => rooms.get(name),
+
+        size: () => rooms.size,
+
+        countReservedBy: (address: string) => {
+            const hash = hashAddress(address);
+            return [...rooms.values()].filter(entry => entry.addressHash === hash).length;
+        },
+
+        list: () => [...rooms].map(([name, { createdAt, lastUsedAt, lobby, cascade, e2ee, password }]) =>
+            ({ name, createdAt, lastUsedAt, lobby, cascade, e2ee, protected: !!password })),
+
+        reserve: (name: string, token: string, address: string,
+            settings: Omit<ReservedRoom, 'tokenHash' | 'addressHash' | 'createdAt' | 'lastUsedAt'>) => {
+            const now = Date.now();
+            rooms.set(name, {
+                ...settings,
+                tokenHash: hashToken(token).toString('hex'),
+                addressHash: hashAddress(address),
+                createdAt: now,
+                lastUsedAt: now
+            });
+            save();
+        },
+
+        touch: (name: string) => {
+            const entry = rooms.get(name);
+            if (!entry) return;
+            entry.lastUsedAt = Date.now();
+            save();
+        },
+
+        // Names the owner hasn't started for `maxIdleMs`, except those in `keep`; returns what was dropped
+        expire: (maxIdleMs: number, keep: (name: string) => boolean) => {
+            const cutoff = Date.now() - maxIdleMs;
+            const expired = [...rooms].filter(([name, entry]) => (entry.lastUsedAt ?? entry.createdAt) < cutoff && !keep(name));
+            for (const [name] of expired) rooms.delete(name);
+            if (expired.length) save();
+            return expired.map(([name]) => name);
+        },
+
+        release: (name: string) => {
+            const existed = rooms.delete(name);
+            if (existed) save();
+            return existed;
+        },
+
+        isOwner: (entry: ReservedRoom, token: string) =>
+            timingSafeEqual(hashToken(token), Buffer.from(entry.tokenHash, 'hex'))
+    };
+};
+
+export type RoomStore = ReturnType<typeof createRoomStore>;
@@ -0,0 +1,706 @@
+// ChinShare client: signaling (hello handshake, session resume) and the WebRTC connections of a
+// room, as an event emitter. The web app (script.js) is built on it; other pages and bots can use it
+// too, as a plain <script> after protocol.js (window.ChinShareClient) or through require/import.
+//
+// Events:
+//   ready (welcome)             Handshake done on a fresh session: create or join a room
+//   message (data)              Every server message, after the client has handled it
+//   reconnecting ({ attempt, delay }), closed (event), socket-error (event)
+//   viewer-joined (id, profile) Broadcaster: a viewer was admitted, or moved in the relay tree
+//   viewer-left (id)
+//   peer ({ id, pc, kind })     New connection, before its offer or answer. kind: 'viewer' (ours to a
+//                               viewer), 'relay' (viewer to a cascade child) or 'upstream' (what we watch)
+//   peer-closed ({ id, kind }), peer-state (id, state), negotiated (id, pc)
+//   track ({ track, stream, camera })  Viewer: incoming media; `camera` is the presenter's separate camera
+//   connection-state (state)    Viewer: state of the upstream connection
+//   recovering ({ id, attempt, action })  Broadcaster: a viewer's connection is being repaired.
+//                               action: 'ice-restart' (attempt 1, 2, ...) or 'rebuild'
+//   error ({ id, kind, error })  A connection couldn't be set up or renegotiated (kind as for peer)
+(function (root, factory) {
+    const client = factory(typeof module === 'object' && module.exports ? require('./protocol.js') : root.ChinShareProtocol);
+    if (typeof module === 'object' && module.exports) module.exports = client;
+    else root.ChinShareClient = client;
+})(typeof self !== 'undefined' ? self : this, function (Protocol) {
+    const { CloseCodes, PROTOCOL_VERSION } = Protocol;
+
+    const HOST = 'host'; // Parent of viewers the broadcaster feeds directly
+    const RECONNECT_MAX_DELAY = 8000;
+
+    // Broadcaster: a failed/disconnected viewer gets ICE restarts with growing waits, then a full rebuild
+    const ICE_RESTART_WAITS = [2000, 4000, 8000];
+    const DISCONNECTED_GRACE = 3000; // 'disconnected' often heals by itself
+    const ICE_REQUEST_TIMEOUT = 5000; // Then connect with host candidates only
+
+    // SDP Munging for high-quality stereo Opus audio
+    function upgradeAudioQuality(sdp) {
+        // Find Opus payload type
+        const opusMatch = sdp.match(/a=rtpmap:(\d+) opus/);
+        if (!opusMatch) return sdp;
+        const opusPayload = opusMatch[1];
+
+        // Replace or add fmtp line for Opus with stereo and high bitrate
+        const fmtpRegex = new RegExp(`a=fmtp:${opusPayload} (.*)`, 'g');
+        if (sdp.match(fmtpRegex)) {
+            // Modify existing fmtp line
+            sdp = sdp.replace(fmtpRegex, (match, params) => {
+                // Remove any existing stereo/bitrate params and add our own
+                let newParams = params.replace(/;?stereo=\d/g, '')
+                    .replace(/;?sprop-stereo=\d/g, '')
+                    .replace(/;?maxaveragebitrate=\d+/g, '')
+                    .replace(/;?cbr=\d/g, '');
+                return `a=fmtp:${opusPayload} ${newParams};stereo=1;sprop-stereo=1;maxaveragebitrate=510000;cbr=1`;
+            });
+        } else {
+            // Add fmtp line after rtpmap
+            sdp = sdp.replace(
+                new RegExp(`(a=rtpmap:${opusPayload} opus[^\n]*)`),
+                `$1\na=fmtp:${opusPayload} minptime=10;useinbandfec=1;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;cbr=1`
+            );
+        }
+        return sdp;
+    }
+
+    const describeViewer = (v) => ({ name: v.name, joinedAt: v.joinedAt, e2eeSupported: v.e2eeSupported, parent: v.parent || HOST });
+
+    class ChinShareClient {
+        /**
+         * @param {object} [options]
+         * @param {string} [options.url] Signaling endpoint; defaults to /ws on the page's host
+         * @param {() => object | Promise<object>} [options.rtcConfig] Extra RTCConfiguration for each new connection
+         * @param {(viewerId: string) => boolean} [options.canSendTo] Broadcaster: false leaves a viewer unconnected
+         * @param {Function} [options.WebSocket] For runtimes without the browser globals (bots)
+         * @param {Function} [options.RTCPeerConnection]
+         */
+        constructor(options = {}) {
+            this.url = options.url ?? `${location.protocol === 'https:' ? 'wss:' : 'ws:'}//${location.host}/ws`;
+            this.rtcConfig = options.rtcConfig ?? (() => ({}));
+            this.canSendTo = options.canSendTo ?? (() => true);
+            this.WebSocket = options.WebSocket ?? globalThis.WebSocket;
+            this.RTCPeerConnection = options.RTCPeerConnection ?? globalThis.RTCPeerConnection;
+
+            this.listeners = new Map(); // event -> Set of listeners
+            this.ws = null;
+            this.role = null; // 'broadcaster' | 'viewer' once a create/join is under way
+            this.roomId = null;
+            this.id = null; // Our viewer id (null for the broadcaster)
+
+            // Session resumption: reconnect with this token after a dropped socket
+            this.resumeToken = null;
+            this.reconnectAttempts = 0;
+            this.reconnectTimer = null;
+
+            // ICE servers come from the server so TURN credentials stay short-lived
+            this.iceServers = [];
+            this.iceServersExpiry = 0;
+            this.iceRequest = null; // { promise, done } while a get-ice is unanswered
+
+            // Broadcaster
+            this.stream = null; // What publish() sends
+            this.viewers = new Map(); // Admitted viewer id -> { name, joinedAt, e2eeSupported, parent }
+            this.pending = new Map(); // Waiting room: viewer id -> { name }
+            this.peers = new Map(); // Directly fed viewer id -> pc
+            this.recovery = new Map(); // Viewer id -> { attempts, timer, iceRestarts, rebuilds }
+            this.offers = new WeakMap(); // pc -> { busy, queued }: one offer in flight per connection
+
+            // Viewer
+            this.upstream = null; // Connection from whoever feeds us (host, or a relay in cascade rooms)
+            this.incomingOffers = Promise.resolve(); // Offers are applied one after another, in order
+            this.pendingOffers = []; // { candidates }: offers not yet applied, and the candidates that followed them
+            this.remoteStream = null; // Presenter's screen + audio as received
+            this.relays = new Map(); // Cascade child viewer id -> pc
+            this.relayStream = null; // Stream forwarded to children, set once our own feed is complete
+            this.relayQueue = new Set(); // Children assigned before our own stream arrived
+            this.relayStarting = new Set(); // Children whose connection is being created
+        }
+
+        // --- Events ---
+        on(type, listener) {
+            if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+            this.listeners.get(type).add(listener);
+            return this;
+        }
+
+        off(type, listener) {
+            this.listeners.get(type)?.delete(listener);
+            return this;
+        }
+
+        emit(type, ...args) {
+            this.listeners.get(type)?.forEach(listener => listener(...args));
+        }
+
+        // Negotiation started by a server message or a timer has no caller to reject to
+        reportFailure(promise, id, kind) {
+            promise.catch(error => this.emit('error', { id, kind, error }));
+        }
+
+        // --- Signaling ---
+        connect() {
+            const ws = this.ws = new this.WebSocket(this.url);
+            ws.onopen = () => this.send({ type: 'hello', version: PROTOCOL_VERSION });
+            ws.onerror = (event) => this.emit('socket-error', event);
+            ws.onclose = (event) => this.handleClose(event);
+            ws.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+            return this;
+        }
+
+        // Dropped while the socket is down: after a resume the broadcaster re-offers, which
+        // brings fresh candidates, so nothing sent meanwhile needs replaying
+        send(message) {
+            if (this.ws?.readyState !== 1) return false;
+            this.ws.send(JSON.stringify(message));
+            return true;
+        }
+
+        // Deliberate exit: the server frees our slot instead of holding it for a resume
+        leave() {
+            if (this.ws?.readyState === 1 && this.resumeToken) this.send({ type: 'leave' });
+        }
+
+        // Hang up for good: no resume, no 'closed' event
+        disconnect() {
+            clearTimeout(this.reconnectTimer);
+            this.resumeToken = null;
+            if (!this.ws) return;
+            this.ws.onclose = null;
+            this.ws.close();
+        }
+
+        createRoom(options = {}) {
+            this.role = 'broadcaster';
+            this.send({ type: 'create-room', ...options });
+        }
+
+        joinRoom(roomId, options = {}) {
+            this.role = 'viewer';
+            this.send({ type: 'join-room', roomId, ...options });
+        }
+
+        handleClose(event) {
+            if (event.code === CloseCodes.MESSAGE_TOO_LARGE) {
+                console.error('Server closed the connection: message too large');
+            }
+            if (!this.resumeToken) {
+                this.emit('closed', event);
+                return;
+            }
+
+            // Exponential backoff; the server holds our slot for its grace period
+            const delay = Math.min(500 * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+            this.reconnectAttempts++;
+            this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        }
+
+        handleMessage(data) {
+            switch (data.type) {
+                case 'welcome':
+                    // Reconnect: pick the session back up instead of starting over
+                    if (this.resumeToken) this.send({ type: 'resume', token: this.resumeToken });
+                    else this.emit('ready', data);
+                    break;
+
+                case 'room-created':
+                    this.roomId = data.roomId;
+                    this.resumeToken = data.resumeToken;
+                    this.loadIceServers(); // Prefetch so the first offer isn't delayed
+                    break;
+
+                case 'joined-room':
+                    this.roomId = data.roomId;
+                    this.id = data.viewerId;
+                    this.resumeToken = data.resumeToken;
+                    this.loadIceServers();
+                    break;
+
+                case 'waiting-room':
+                    this.roomId = data.roomId;
+                    this.id = data.viewerId;
+                    break;
+
+                case 'resumed':
+                    this.reconnectAttempts = 0;
+                    if (data.role === 'broadcaster') this.reconcileViewers(data);
+                    break;
+
+                case 'viewer-resumed':
+                    // Candidates may have been lost while the viewer was away
+                    if (this.role !== 'broadcaster') this.restartRelay(data.id);
+                    else if (this.isDirectViewer(data.id)) this.reportFailure(this.renegotiate(data.id, { force: true }), data.id, 'viewer');
+                    break;
+
+                case 'viewer-knock':
+                    this.pending.set(data.id, { name: data.name });
+                    break;
+
+                case 'viewer-connect':
+                    // Viewers hear this in cascade rooms when the server gives them a child to relay to
+                    if (this.role !== 'broadcaster') this.reportFailure(this.startRelay(data.id), data.id, 'relay');
+                    else this.addViewer(data.id, data);
+                    break;
+
+                case 'viewer-disconnect':
+                    // Viewers: a relay child left or moved elsewhere in the tree
+                    if (this.role !== 'broadcaster') this.stopRelay(data.id);
+                    else this.removeViewer(data.id);
+                    break;
+
+                case 'host-changed':
+                    this.closeUpstream();
+                    if (data.role === 'broadcaster') {
+                        this.role = 'broadcaster';
+                        this.id = null;
+                        this.pending = new Map(data.pending.map(v => [v.id, { name: v.name }]));
+                    } else {
+                        if (this.role === 'broadcaster') this.resetBroadcast();
+                        this.role = 'viewer';
+                        this.id = data.viewerId;
+                    }
+                    break;
+
+                case 'broadcaster-left':
+                    this.closeUpstream();
+                    break;
+
+                case 'kicked':
+                case 'room-closed':
+                    this.resumeToken = null; // Nothing to come back to
+                    break;
+
+                case 'offer': {
+                    const pending = { candidates: [] };
+                    this.pendingOffers.push(pending);
+                    this.incomingOffers = this.incomingOffers
+                        .then(() => this.handleOffer(data, pending))
+                        .catch(error => {
+                            this.settleOffer(pending);
+                            this.emit('error', { id: data.from ?? HOST, kind: 'upstream', error });
+                        });
+                    break;
+                }
+
+                case 'answer':
+                    this.handleAnswer(data);
+                    break;
+
+                case 'candidate': {
+                    if (this.role === 'broadcaster' || this.relays.has(data.from)) {
+                        const pc = this.role === 'broadcaster' ? this.peers.get(data.from) : this.relays.get(data.from);
+                        if (pc) this.addCandidate(pc, data.candidate);
+                        break;
+                    }
+                    // Upstream: it belongs to the latest offer, which may not have a connection to go on yet
+                    const pending = this.pendingOffers[this.pendingOffers.length - 1];
+                    if (pending) pending.candidates.push(data.candidate);
+                    else if (this.upstream) this.addCandidate(this.upstream, data.candidate);
+                    break;
+                }
+
+                case 'ice-servers':
+                    this.iceServers = data.iceServers || [];
+                    // Refresh a bit before the TURN credentials expire
+                    this.iceServersExpiry = Date.now() + (data.ttl || 3600) * 900;
+                    this.iceRequest?.done();
+                    break;
+
+                case 'error':
+                    if (data.re === 'get-ice') this.iceRequest?.done();
+                    if (data.code === Protocol.ErrorCodes.RESUME_FAILED) this.resumeToken = null;
+                    if (!this.roomId) this.role = null; // The create/join didn't go through
+                    break;
+            }
+            this.emit('message', data);
+        }
+
+        // --- WebRTC ---
+        // Asked over signaling: the server only hands TURN credentials to room members
+        loadIceServers() {
+            if (Date.now() < this.iceServersExpiry) return Promise.resolve();
+            if (this.iceRequest) return this.iceRequest.promise;
+
+            let done;
+            const promise = new Promise(resolve => { done = resolve; });
+            const timer = setTimeout(() => {
+                console.error('No ICE servers from the server, using host candidates only');
+                this.iceRequest?.done();
+            }, ICE_REQUEST_TIMEOUT);
+            this.iceRequest = {
+                promise,
+                done: () => {
+                    clearTimeout(timer);
+                    this.iceRequest = null;
+                    done();
+                }
+            };
+            this.send({ type: 'get-ice' });
+            return promise;
+        }
+
+        addCandidate(pc, candidate) {
+            pc.addIceCandidate(candidate).catch(e => console.warn('ICE candidate rejected:', e));
+        }
+
+        async createPeer(targetId) {
+            await this.loadIceServers();
+            const pc = new this.RTCPeerConnection({ iceServers: this.iceServers, ...await this.rtcConfig() });
+
+            pc.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.send({
+                        type: 'candidate',
+                        candidate: event.candidate,
+                        to: targetId, // For broadcaster -> viewer logic
+                        from: this.id, // For viewer -> broadcaster logic
+                        roomId: this.roomId
+                    });
+                }
+            };
+            return pc;
+        }
+
+        // A second offer before the first is answered would make that answer fail to apply, so
+        // re-offers wait for it and go out as one. `force` skips the wait when the outstanding
+        // offer or its answer may have been lost with a dropped socket.
+        async sendOffer(to, pc, { iceRestart = false, renegotiation = false, force = false } = {}) {
+            if (!this.offers.has(pc)) this.offers.set(pc, { busy: false, queued: null });
+            const state = this.offers.get(pc);
+            if (state.busy && !force) {
+                state.queued = { iceRestart: iceRestart || !!state.queued?.iceRestart };
+                return;
+            }
+            state.busy = true;
+            state.queued = null;
+
+            try {
+                const offer = await pc.createOffer({ iceRestart });
+                offer.sdp = upgradeAudioQuality(offer.sdp);
+                await pc.setLocalDescription(offer);
+                this.send({
+                    type: 'offer', sdp: offer, to, roomId: this.roomId,
+                    // Either way the viewer keeps its connection instead of rebuilding
+                    ...(iceRestart && { iceRestart }),
+                    ...(renegotiation && !iceRestart && { renegotiation })
+                });
+            } catch (e) {
+                state.busy = false;
+                throw e;
+            }
+        }
+
+        async handleAnswer(data) {
+            const kind = this.role === 'broadcaster' ? 'viewer' : 'relay';
+            const pc = kind === 'viewer' ? this.peers.get(data.from) : this.relays.get(data.from);
+            if (!pc) return;
+            const state = this.offers.get(pc);
+            let applied = true;
+            try {
+                await pc.setRemoteDescription(data.sdp);
+            } catch (error) {
+                this.emit('error', { id: data.from, kind, error });
+                applied = false;
+            }
+            if (state) state.busy = false;
+            if (applied && kind === 'viewer') this.emit('negotiated', data.from, pc);
+
+            // Changes made while this offer was out
+            if (state?.queued) {
+                this.reportFailure(this.sendOffer(data.from, pc, { ...state.queued, renegotiation: true }), data.from, kind);
+            }
+        }
+
+        // --- Broadcaster ---
+        // Send `stream` to every viewer we feed directly, now and as they join
+        publish(stream) {
+            this.stream = stream;
+            this.viewers.forEach((profile, id) => {
+                if (this.isDirectViewer(id)) this.reportFailure(this.connectViewer(id), id, 'viewer');
+            });
+        }
+
+        unpublish() {
+            [...this.peers.keys()].forEach(id => this.closePeer(id));
+            this.stream = null;
+        }
+
+        // No longer presenting (handed the room over): forget the audience too
+        resetBroadcast() {
+            this.unpublish();
+            this.viewers.clear();
+            this.pending.clear();
+        }
+
+        profile(viewerId) {
+            return this.viewers.get(viewerId) ?? this.pending.get(viewerId);
+        }
+
+        // False for cascade viewers fed by another viewer
+        isDirectViewer(viewerId) {
+            return (this.viewers.get(viewerId)?.parent ?? HOST) === HOST;
+        }
+
+        addViewer(viewerId, data) {
+            this.pending.delete(viewerId);
+            // Cascade rooms: repeated for a viewer that moved in the relay tree
+            this.viewers.set(viewerId, describeViewer(data));
+            if (!this.isDirectViewer(viewerId)) this.closePeer(viewerId);
+            this.emit('viewer-joined', viewerId, this.viewers.get(viewerId));
+
+            if (this.stream && this.isDirectViewer(viewerId)) this.reportFailure(this.connectViewer(viewerId), viewerId, 'viewer');
+        }
+
+        removeViewer(viewerId) {
+            this.viewers.delete(viewerId);
+            this.pending.delete(viewerId);
+            this.closePeer(viewerId);
+            this.emit('viewer-left', viewerId);
+        }
+
+        // Bring our view of the room in line with the server's after a reconnect
+        reconcileViewers(data) {
+            const serverViewers = new Set(data.viewers.map(v => v.id));
+            [...this.viewers.keys()].forEach(id => {
+                if (!serverViewers.has(id)) this.removeViewer(id); // Left while we were away
+            });
+
+            data.viewers.forEach(v => {
+                const known = this.viewers.get(v.id);
+                if (known && known.parent === (v.parent || HOST)) {
+                    Object.assign(known, describeViewer(v));
+                    if (this.isDirectViewer(v.id)) this.reportFailure(this.renegotiate(v.id, { force: true }), v.id, 'viewer');
+                } else {
+                    this.addViewer(v.id, v);
+                }
+            });
+            this.pending = new Map(data.pending.map(v => [v.id, describeViewer(v)]));
+        }
+
+        async connectViewer(viewerId) {
+            if (this.peers.has(viewerId)) return; // Already connecting/connected
+            if (!this.canSendTo(viewerId)) return;
+
+            const pc = await this.createPeer(viewerId);
+            if (this.peers.has(viewerId) || !this.stream) { // Raced with another connect (or an unpublish)
+                pc.close();
+                return;
+            }
+            this.peers.set(viewerId, pc);
+            this.watchPeer(viewerId, pc);
+
+            this.stream.getTracks().forEach(track => pc.addTrack(track, this.stream));
+            this.emit('peer', { id: viewerId, pc, kind: 'viewer' });
+            await this.sendOffer(viewerId, pc);
+        }
+
+        // Re-offer on an existing connection instead of rebuilding it: an ICE restart to recover
+        // the path, or (iceRestart: false) a plain renegotiation after tracks were added or removed
+        async renegotiate(viewerId, { iceRestart = true, force = false } = {}) {
+            if (!this.stream) return;
+            const pc = this.peers.get(viewerId);
+            if (!pc || pc.connectionState === 'closed') {
+                this.peers.delete(viewerId);
+                return this.connectViewer(viewerId);
+            }
+            await this.sendOffer(viewerId, pc, { iceRestart, renegotiation: !iceRestart, force });
+        }
+
+        closePeer(viewerId) {
+            if (this.peers.has(viewerId)) {
+                this.peers.get(viewerId).close();
+                this.peers.delete(viewerId);
+            }
+            clearTimeout(this.recovery.get(viewerId)?.timer);
+            this.recovery.delete(viewerId);
+            this.emit('peer-closed', { id: viewerId, kind: 'viewer' });
+        }
+
+        getRecovery(viewerId) {
+            if (!this.recovery.has(viewerId)) {
+                this.recovery.set(viewerId, { attempts: 0, timer: null, iceRestarts: 0, rebuilds: 0 });
+            }
+            return this.recovery.get(viewerId);
+        }
+
+        watchPeer(viewerId, pc) {
+            const onStateChange = () => {
+                if (this.peers.get(viewerId) !== pc) return; // Replaced by a rebuild
+                this.emit('peer-state', viewerId, pc.connectionState);
+
+                const rec = this.getRecovery(viewerId);
+                const state = pc.connectionState;
+                const iceState = pc.iceConnectionState;
+
+                if (state === 'connected') {
+                    clearTimeout(rec.timer);
+                    rec.timer = null;
+                    rec.attempts = 0;
+                    return;
+                }
+                if (rec.timer) return; // Recovery already scheduled
+
+                if (state === 'failed' || iceState === 'failed') {
+                    this.scheduleRecovery(viewerId, 0);
+                } else if (state === 'disconnected' || iceState === 'disconnected') {
+                    this.scheduleRecovery(viewerId, DISCONNECTED_GRACE);
+                }
+            };
+            pc.onconnectionstatechange = onStateChange;
+            pc.oniceconnectionstatechange = onStateChange;
+        }
+
+        scheduleRecovery(viewerId, delay) {
+            const rec = this.getRecovery(viewerId);
+            rec.timer = setTimeout(() => {
+                rec.timer = null;
+                this.recoverPeer(viewerId);
+            }, delay);
+        }
+
+        async recoverPeer(viewerId) {
+            const pc = this.peers.get(viewerId);
+            if (!pc || !this.viewers.has(viewerId) || pc.connectionState === 'connected') return;
+
+            const rec = this.getRecovery(viewerId);
+            if (rec.attempts < ICE_RESTART_WAITS.length) {
+                rec.attempts++;
+                rec.iceRestarts++;
+                this.emit('recovering', { id: viewerId, attempt: rec.attempts, action: 'ice-restart' });
+                try {
+                    await this.renegotiate(viewerId);
+                } catch (error) {
+                    this.emit('error', { id: viewerId, kind: 'viewer', error });
+                }
+                // Check again once the restart had time to connect
+                this.scheduleRecovery(viewerId, ICE_RESTART_WAITS[rec.attempts - 1]);
+                return;
+            }
+
+            rec.attempts = 0;
+            rec.rebuilds++;
+            this.emit('recovering', { id: viewerId, attempt: rec.rebuilds, action: 'rebuild' });
+            pc.close();
+            this.peers.delete(viewerId);
+            this.reportFailure(this.connectViewer(viewerId), viewerId, 'viewer');
+        }
+
+        // --- Viewer ---
+        // The offer's remote description is set: candidates that waited for it go on the connection
+        settleOffer(pending, pc) {
+            const index = this.pendingOffers.indexOf(pending);
+            if (index !== -1) this.pendingOffers.splice(index, 1);
+            if (pc) pending.candidates.forEach(candidate => this.addCandidate(pc, candidate));
+            pending.candidates = [];
+        }
+
+        async handleOffer(data, pending) {
+            // ICE restarts and renegotiations reuse the live connection so playback isn't
+            // interrupted; any other offer means the broadcaster built a fresh connection
+            const reuse = (data.iceRestart || data.renegotiation) && this.upstream && this.upstream.connectionState !== 'closed';
+            if (!reuse) {
+                if (this.upstream) this.upstream.close();
+                const pc = this.upstream = await this.createPeer(null);
+
+                pc.onconnectionstatechange = () => {
+                    if (pc === this.upstream) this.emit('connection-state', pc.connectionState);
+                };
+                pc.ontrack = (event) => {
+                    // Any video after the first is the presenter's camera, sent as its own track
+                    const videoTransceivers = pc.getTransceivers().filter(t => t.receiver.track.kind === 'video');
+                    const camera = event.track.kind === 'video' && videoTransceivers.indexOf(event.transceiver) > 0;
+                    if (!camera) this.remoteStream = event.streams[0];
+                    this.emit('track', { track: event.track, stream: event.streams[0], camera });
+                };
+                this.emit('peer', { id: data.from ?? HOST, pc, kind: 'upstream' });
+            }
+
+            const pc = this.upstream;
+            await pc.setRemoteDescription(data.sdp);
+            this.settleOffer(pending, pc);
+            // All tracks have fired ontrack by now: hand them to any children we relay to
+            if (this.remoteStream) this.updateRelayTracks(this.remoteStream);
+            const answer = await pc.createAnswer();
+            await pc.setLocalDescription(answer);
+
+            this.send({
+                type: 'answer',
+                sdp: answer,
+                roomId: this.roomId,
+                from: this.id // IMPORTANT: Send my ID so broadcaster knows who answered
+            });
+        }
+
+        // Everything tied to the current presenter's connection
+        closeUpstream() {
+            if (this.upstream) this.upstream.close();
+            this.upstream = null;
+            this.remoteStream = null;
+            [...this.relays.keys(), ...this.relayQueue].forEach(id => this.stopRelay(id));
+            this.relayStream = null; // Children queue until the new stream arrives
+        }
+
+        // --- Relay (cascade rooms) ---
+        // The server may ask us to forward the stream we receive to a few other viewers.
+        // Only the main stream (screen and audio) is forwarded: a separate camera track
+        // reaches the broadcaster's direct viewers only.
+        async startRelay(childId) {
+            this.stopRelay(childId);
+            if (!this.relayStream) {
+                this.relayQueue.add(childId);
+                return;
+            }
+
+            this.relayStarting.add(childId);
+            const pc = await this.createPeer(childId);
+            // Stopped, or started over by another viewer-connect/viewer-resumed, while we waited
+            if (!this.relayStarting.delete(childId) || this.relays.has(childId)) {
+                pc.close();
+                return;
+            }
+            this.relays.set(childId, pc);
+            this.relayStream.getTracks().forEach(track => pc.addTrack(track, this.relayStream));
+            this.emit('peer', { id: childId, pc, kind: 'relay' });
+
+            // No ICE-restart ladder here: a failed hop is simply rebuilt
+            pc.onconnectionstatechange = () => {
+                if (pc.connectionState === 'failed' && this.relays.get(childId) === pc) {
+                    this.reportFailure(this.startRelay(childId), childId, 'relay');
+                }
+            };
+            await this.sendOffer(childId, pc);
+        }
+
+        stopRelay(childId) {
+            this.relayQueue.delete(childId);
+            this.relayStarting.delete(childId);
+            if (this.relays.has(childId)) {
+                this.relays.get(childId).close();
+                this.relays.delete(childId);
+            }
+            this.emit('peer-closed', { id: childId, kind: 'relay' });
+        }
+
+        restartRelay(childId) {
+            if (this.relays.has(childId) || this.relayQueue.has(childId)) {
+                this.reportFailure(this.startRelay(childId), childId, 'relay');
+            }
+        }
+
+        // Our feed was (re)built: swap the new tracks into every child without renegotiating
+        updateRelayTracks(stream) {
+            this.relayStream = stream;
+            this.relays.forEach(pc => {
+                pc.getSenders().forEach(sender => {
+                    const track = stream.getTracks().find(t => t.kind === sender.track?.kind);
+                    if (track && track !== sender.track) sender.replaceTrack(track);
+                });
+            });
+
+            const queued = [...this.relayQueue];
+            this.relayQueue.clear();
+            queued.forEach(id => this.reportFailure(this.startRelay(id), id, 'relay'));
+        }
+    }
+
+    ChinShareClient.upgradeAudioQuality = upgradeAudioQuality;
+    return ChinShareClient;
+});
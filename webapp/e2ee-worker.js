@@ -0,0 +1,87 @@
+// End-to-end encryption of encoded media frames, keyed from script.js (see "End-to-End Encryption").
+// Runs as an RTCRtpScriptTransform worker, or gets Chrome's encoded streams transferred by postMessage.
+// Frame layout: clear header | AES-GCM ciphertext + tag | IV. The header stays readable so the
+// depacketizer still finds keyframes; it is authenticated as additional data.
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const CLEAR_BYTES = { key: 10, delta: 3, audio: 1 }; // VP8 payload header / Opus TOC byte
+const STATUS_INTERVAL = 1000; // ms between decrypt status reports
+
+let key = null;
+let lastStatus = null;
+let lastStatusAt = 0;
+
+// Audio frames have no `type`
+function clearBytes(frame) {
+    if (frame.type === 'key') return CLEAR_BYTES.key;
+    if (frame.type === 'delta') return CLEAR_BYTES.delta;
+    return CLEAR_BYTES.audio;
+}
+
+// Tell the page whether frames decrypt, on change or at most once per interval
+function reportStatus(ok) {
+    const now = Date.now();
+    if (ok === lastStatus && now - lastStatusAt < STATUS_INTERVAL) return;
+    lastStatus = ok;
+    lastStatusAt = now;
+    self.postMessage({ type: 'decrypt-status', ok });
+}
+
+async function encryptFrame(frame, controller) {
+    if (!key) return; // Dropped rather than sent in the clear
+
+    const data = new Uint8Array(frame.data);
+    const header = data.subarray(0, Math.min(clearBytes(frame), data.length));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: header }, key, data.subarray(header.length)));
+
+    const out = new Uint8Array(header.length + ciphertext.length + IV_LENGTH);
+    out.set(header);
+    out.set(ciphertext, header.length);
+    out.set(iv, header.length + ciphertext.length);
+    frame.data = out.buffer;
+    controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller) {
+    const data = new Uint8Array(frame.data);
+    const headerLength = Math.min(clearBytes(frame), data.length - IV_LENGTH - TAG_LENGTH);
+    if (!key || headerLength < 0) {
+        reportStatus(false);
+        return;
+    }
+
+    try {
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: data.subarray(data.length - IV_LENGTH), additionalData: data.subarray(0, headerLength) },
+            key, data.subarray(headerLength, data.length - IV_LENGTH)));
+
+        const out = new Uint8Array(headerLength + plaintext.length);
+        out.set(data.subarray(0, headerLength));
+        out.set(plaintext, headerLength);
+        frame.data = out.buffer;
+        controller.enqueue(frame);
+        reportStatus(true);
+    } catch {
+        reportStatus(false); // Wrong key, or a sender that doesn't encrypt
+    }
+}
+
+function runTransform(operation, readable, writable) {
+    readable
+        .pipeThrough(new TransformStream({ transform: operation === 'encrypt' ? encryptFrame : decryptFrame }))
+        .pipeTo(writable)
+        .catch(() => { }); // Ends with the sender/receiver
+}
+
+self.onrtctransform = (event) => {
+    const { readable, writable, options } = event.transformer;
+    runTransform(options.operation, readable, writable);
+};
+
+self.onmessage = (event) => {
+    const msg = event.data;
+    if (msg.type === 'key') key = msg.key;
+    else if (msg.type === 'streams') runTransform(msg.operation, msg.readable, msg.writable);
+};
@@ -0,0 +1,165 @@
+// Signaling protocol shared by the server (Server/index.ts) and the web client (script.js).
+// Loaded as a plain <script> in the browser (window.ChinShareProtocol) and imported by the server.
+(function (root, factory) {
+    const protocol = factory();
+    if (typeof module === 'object' && module.exports) module.exports = protocol;
+    else root.ChinShareProtocol = protocol;
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Bump on breaking changes; the server accepts anything in [MIN, current]
+    const PROTOCOL_VERSION = 1;
+    const MIN_PROTOCOL_VERSION = 1;
+
+    const ErrorCodes = {
+        BAD_MESSAGE: 'BAD_MESSAGE', // Not JSON, unknown type or wrong field shape
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+        HELLO_REQUIRED: 'HELLO_REQUIRED', // Message sent before the hello handshake
+        NOT_ALLOWED: 'NOT_ALLOWED', // Message not allowed for this role
+        NOT_IN_ROOM: 'NOT_IN_ROOM', // Needs a room, and the socket hasn't joined one
+        UNKNOWN_PEER: 'UNKNOWN_PEER', // Signaling addressed to someone who isn't in the room
+        ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+        PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+        WRONG_PASSWORD: 'WRONG_PASSWORD',
+        BANNED: 'BANNED',
+        JOIN_DENIED: 'JOIN_DENIED',
+        RESUME_FAILED: 'RESUME_FAILED',
+        RATE_LIMITED: 'RATE_LIMITED',
+        LOCKED_OUT: 'LOCKED_OUT', // Too many failed joins from this address
+        TOO_MANY_ROOMS: 'TOO_MANY_ROOMS',
+        ROOM_FULL: 'ROOM_FULL',
+        CHAT_DISABLED: 'CHAT_DISABLED', // Chat is off, or read-only for viewers
+        NOT_OWNER: 'NOT_OWNER', // Reserved room name: owner token missing or wrong
+        ROOM_IN_USE: 'ROOM_IN_USE' // Someone is already presenting in this reserved room
+    };
+
+    // Limits both sides enforce
+    const Limits = {
+        CHAT_MAX_LENGTH: 500,
+        NAME_MAX_LENGTH: 40,
+        ROOM_NAME_MAX_LENGTH: 32
+    };
+
+    const ChatModes = ['open', 'read-only', 'off'];
+
+    // WebSocket close codes the server uses
+    const CloseCodes = {
+        MESSAGE_TOO_LARGE: 1009 // Frame over the server's size limit
+    };
+
+    // --- Field checks ---
+    const isString = (max) => (v) => typeof v === 'string' && v.length <= max;
+    const isBool = (v) => typeof v === 'boolean';
+    const isInt = (v) => Number.isInteger(v);
+    const optional = (check) => (v) => v === undefined || check(v);
+    const nullable = (check) => (v) => v === null || check(v);
+    const isOneOf = (values) => (v) => values.includes(v);
+
+    const isId = isString(64);
+    // Reserved rooms: lowercase slug with at least one letter, so it can't clash with a numeric code
+    const isRoomName = (v) => typeof v === 'string' && v.length <= Limits.ROOM_NAME_MAX_LENGTH &&
+        /^[a-z0-9][a-z0-9-]*[a-z0-9]$/.test(v) && /[a-z]/.test(v);
+    const isRoomCode = (v) => (typeof v === 'string' && /^\d{6}$/.test(v)) || isRoomName(v);
+    const isSdp = (v) => !!v && typeof v === 'object' &&
+        (v.type === 'offer' || v.type === 'answer') && isString(200000)(v.sdp);
+    const isCandidate = (v) => !!v && typeof v === 'object' &&
+        isString(2048)(v.candidate) &&
+        optional(nullable(isString(64)))(v.sdpMid) &&
+        optional(nullable(isInt))(v.sdpMLineIndex) &&
+        optional(nullable(isString(256)))(v.usernameFragment);
+
+    /**
+     * Client -> server messages: type -> { field: check }.
+     * Fields not listed here are stripped before the server sees the message.
+     */
+    const ClientMessages = {
+        'hello': { version: isInt },
+        'create-room': {
+            password: optional(isString(256)), lobby: optional(isBool), cascade: optional(isBool), e2ee: optional(isBool),
+            name: optional(isRoomName), ownerToken: optional(isString(128)) // Reserve or claim a persistent room
+        },
+        'join-room': {
+            roomId: isId, password: optional(isString(256)), name: optional(isString(Limits.NAME_MAX_LENGTH)),
+            e2eeSupported: optional(isBool), // Browser can run encoded transforms
+            clientId: optional(isId) // Random id kept by the browser; bans key on it
+        },
+        'resume': { token: isString(128) },
+        'leave': {},
+        'get-ice': {}, // ICE servers, with fresh TURN credentials
+        'set-lobby': { enabled: isBool },
+        'admit': { id: isId },
+        'deny': { id: isId, ban: optional(isBool) },
+        'kick': { id: isId, ban: optional(isBool) },
+        'handoff': { id: isId }, // Broadcaster asks a viewer to take over presenting
+        'handoff-accept': {},
+        'handoff-decline': {},
+        'chat': { text: isString(Limits.CHAT_MAX_LENGTH) },
+        'chat-settings': { mode: isOneOf(ChatModes) },
+        'offer': {
+            sdp: isSdp, to: isId, roomId: optional(isId),
+            iceRestart: optional(isBool), renegotiation: optional(isBool) // Either: apply to the existing connection
+        },
+        'answer': { sdp: isSdp, to: optional(nullable(isId)), from: optional(nullable(isId)), roomId: optional(isId) },
+        'candidate': { candidate: isCandidate, to: optional(nullable(isId)), from: optional(nullable(isId)), roomId: optional(isId) }
+    };
+
+    // Server -> client message types
+    const ServerMessages = [
+        'welcome', 'error',
+        'room-created', 'joined-room', 'waiting-room', 'resumed', 'kicked', 'room-closed',
+        'viewer-connect', 'viewer-knock', 'viewer-resumed', 'viewer-disconnect',
+        'broadcaster-away', 'broadcaster-back', 'broadcaster-left',
+        'handoff-request', 'handoff-declined', 'host-changed',
+        'chat', 'chat-history', 'chat-settings',
+        'ice-servers', 'offer', 'answer', 'candidate'
+    ];
+
+    /**
+     * Validate a decoded client message against ClientMessages.
+     * @returns {{ ok: true, message: object } | { ok: false, code: string, message: string }}
+     */
+    function parseMessage(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { ok: false, code: ErrorCodes.BAD_MESSAGE, message: 'Message must be a JSON object' };
+        }
+
+        const schema = Object.prototype.hasOwnProperty.call(ClientMessages, data.type) ? ClientMessages[data.type] : null;
+        if (!schema) {
+            return { ok: false, code: ErrorCodes.BAD_MESSAGE, message: `Unknown message type: ${String(data.type).slice(0, 32)}` };
+        }
+
+        const message = { type: data.type };
+        for (const [field, check] of Object.entries(schema)) {
+            if (!check(data[field])) {
+                return { ok: false, code: ErrorCodes.BAD_MESSAGE, message: `Invalid field "${field}" in ${data.type}` };
+            }
+            if (data[field] !== undefined) message[field] = data[field];
+        }
+        return { ok: true, message };
+    }
+
+    // Highest version both sides speak, or null if there is none
+    function negotiateVersion(clientVersion) {
+        const version = Math.min(clientVersion, PROTOCOL_VERSION);
+        return version >= MIN_PROTOCOL_VERSION ? version : null;
+    }
+
+    // `re`: request type this error answers, for errors the client handles in context
+    function createError(code, message, re) {
+        return re ? { type: 'error', code, message, re } : { type: 'error', code, message };
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        MIN_PROTOCOL_VERSION,
+        ErrorCodes,
+        CloseCodes,
+        Limits,
+        ChatModes,
+        ClientMessages,
+        ServerMessages,
+        parseMessage,
+        negotiateVersion,
+        isRoomName,
+        isRoomCode,
+        createError
+    };
+});
@@ -1,15 +1,26 @@
-// Dynamic WebSocket URL for production
-const wsProtocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-const ws = new WebSocket(`${wsProtocol}//${location.host}/ws`);
+// Signaling protocol shared with the server (protocol.js)
+const { ErrorCodes } = ChinShareProtocol;
+
+// Signaling and peer connections live in client.js; this file is the UI on top of them
+const client = new ChinShareClient({
+    rtcConfig: async () => {
+        await e2eeReady;
+        return {
+            iceTransportPolicy: isRelayOnly() ? 'relay' : 'all',
+            // Chrome without RTCRtpScriptTransform: frames only reach us through createEncodedStreams
+            encodedInsertableStreams: !!e2eeWorker && !('RTCRtpScriptTransform' in window)
+        };
+    },
+    canSendTo: (viewerId) => canReceiveE2ee(viewerId) // It could only show garbage
+});
 
-let currentRole = null;
 let localStream = null;
-let peerConnection = null;
-let currentRoomId = null;
-let myId = null;
+let roomPassphrase = null; // Broadcaster: passphrase the room was created with
+let joinPassphrase = null; // Viewer: passphrase sent with join-room
+let e2eePassphrase = null; // Media encryption passphrase; only ever in the URL fragment, never sent
+let roomPersistent = false; // Reserved room name: viewers stay when the owner stops
+const embedMode = location.pathname === '/embed'; // Viewer-only page inside another site (see "Embed")
 
-let connectedViewers = new Set();
-let viewerPCs = new Map(); // id -> pc
 let startTime = null;
 let uptimeInterval = null;
 
@@ -31,8 +42,15 @@ function toggleTheme() {
 
 // Copy shareable room link
 function copyRoomLink() {
-    if (!currentRoomId) return;
-    const url = `${location.origin}/?r=${currentRoomId}`;
+    if (!client.roomId) return;
+    let url = `${location.origin}/?r=${client.roomId}`;
+    // Fragment never reaches the server, so the passphrases stay between browser and viewer
+    const fragment = new URLSearchParams();
+    if (roomPassphrase && document.getElementById('link-include-passphrase').checked) {
+        fragment.set('p', roomPassphrase);
+    }
+    if (e2eePassphrase) fragment.set('k', e2eePassphrase);
+    if (fragment.toString()) url += `#${fragment}`;
     navigator.clipboard.writeText(url).then(() => {
         // Visual feedback
         const btn = event.target;
@@ -44,19 +62,37 @@ function copyRoomLink() {
     });
 }
 
+// Passphrase carried in the link fragment (#p=...)
+function getPassphraseFromUrl() {
+    const hash = new URLSearchParams(location.hash.slice(1));
+    return hash.get('p');
+}
+
+function getE2eePassphraseFromUrl() {
+    const hash = new URLSearchParams(location.hash.slice(1));
+    return hash.get('k');
+}
+
+// Take the room and its passphrases out of the address bar once used. The embed keeps its query
+// (?r=, ?origin=) so reloading the frame rejoins the same room
+function clearRoomFromUrl() {
+    history.replaceState(null, '', embedMode ? location.pathname + location.search : location.pathname);
+}
+
 // Check for room code in URL and auto-join
 function checkUrlForRoom() {
     const params = new URLSearchParams(location.search);
-    const roomCode = params.get('r');
-    if (roomCode && roomCode.length === 6) {
+    const roomCode = params.get('r')?.toLowerCase();
+    if (roomCode && ChinShareProtocol.isRoomCode(roomCode)) {
         // Wait for WS to connect, then auto-join
         const tryJoin = () => {
-            if (ws.readyState === WebSocket.OPEN) {
+            if (client.ws.readyState === WebSocket.OPEN) {
                 document.getElementById('room-input').value = roomCode;
+                joinPassphrase = getPassphraseFromUrl();
+                e2eePassphrase = getE2eePassphraseFromUrl();
                 joinRoom();
-                // Clean URL
-                history.replaceState(null, '', location.pathname);
-            } else if (ws.readyState === WebSocket.CONNECTING) {
+                clearRoomFromUrl();
+            } else if (client.ws.readyState === WebSocket.CONNECTING) {
                 setTimeout(tryJoin, 100);
             }
         };
@@ -81,8 +117,19 @@ function startUptime() {
 }
 
 // --- WebSocket ---
-ws.onopen = () => {
-    console.log('Connected to WS');
+client.on('ready', handleWelcome);
+client.on('message', handleServerMessage);
+client.on('socket-error', handleSocketError);
+client.on('closed', handleSocketClose);
+client.on('reconnecting', () => {
+    setConnectionStatus('Reconnecting...');
+    postEmbedState('reconnecting');
+});
+
+// Handshake done on a fresh session: everything else may only be sent after this
+function handleWelcome(data) {
+    console.log('Signaling protocol version', data.version);
+
     const cBtn = document.getElementById('btn-create');
     const jBtn = document.getElementById('btn-join');
     cBtn.disabled = false;
@@ -92,143 +139,358 @@ ws.onopen = () => {
 
     // Auto-join if URL has room code
     const params = new URLSearchParams(location.search);
-    const roomCode = params.get('r');
-    if (roomCode && roomCode.length === 6) {
+    const roomCode = params.get('r')?.toLowerCase();
+    if (roomCode && ChinShareProtocol.isRoomCode(roomCode)) {
         console.log('Auto-joining room:', roomCode);
         document.getElementById('room-input').value = roomCode;
+        joinPassphrase = getPassphraseFromUrl();
+        e2eePassphrase = getE2eePassphraseFromUrl();
         setTimeout(() => {
             joinRoom();
-            history.replaceState(null, '', location.pathname);
+            clearRoomFromUrl();
         }, 200);
     }
-};
+}
 
-ws.onerror = (e) => {
+function handleSocketError(e) {
     console.error('WS Error', e);
-    alert('WebSocket connection failed. Check console.');
-};
+    // Failed reconnect attempts are retried by the client
+    if (client.resumeToken) return;
+    postEmbedState('error');
+    notifyUser('WebSocket connection failed. Check console.');
+}
 
-ws.onclose = () => {
+// Closed with no session to resume
+function handleSocketClose() {
     console.warn('WS Closed');
-    alert('Disconnected from server');
-};
+    postEmbedState('disconnected');
+    notifyUser('Disconnected from server');
+}
 
-ws.onmessage = async (msg) => {
-    const data = JSON.parse(msg.data);
+// Banner shown while the signaling link (ours or the host's) is down
+function setConnectionStatus(text) {
+    const el = document.getElementById('connection-status');
+    el.innerText = text || '';
+    el.classList.toggle('hidden', !text);
+}
 
+// Runs after the client has handled the message (room state, peer connections)
+function handleServerMessage(data) {
     switch (data.type) {
         case 'room-created':
-            currentRoomId = data.roomId;
-            document.getElementById('display-code').innerText = currentRoomId;
+            document.getElementById('display-code').innerText = client.roomId;
+            document.getElementById('display-code').classList.toggle('vanity', !!data.persistent);
+            document.getElementById('passphrase-info').classList.toggle('hidden', !data.protected);
+            document.getElementById('lobby-live-toggle').checked = !!data.lobby;
+            if (data.persistent) handleReservedRoomCreated(data);
+            if (data.e2ee) {
+                setupE2ee(data.roomId, e2eePassphrase);
+                document.getElementById('e2ee-passphrase-display').innerText = e2eePassphrase;
+                document.getElementById('e2ee-relay-note').classList.toggle('hidden', !data.cascade);
+                document.getElementById('e2ee-info').classList.remove('hidden');
+            }
+            applyChatMode('open');
             showView('setup-view');
             break;
 
         case 'joined-room':
-            currentRoomId = data.roomId;
-            myId = data.viewerId;
+            if (data.e2ee) {
+                setupE2ee(data.roomId, e2eePassphrase || (isE2eeSupported() && !embedMode
+                    ? prompt('This room is end-to-end encrypted. Enter the encryption passphrase:')
+                    : null));
+            }
             showView('stage');
+            document.getElementById('viewer-waiting-text').innerText = 'Waiting for host to start sharing...';
             document.getElementById('viewer-waiting').classList.remove('hidden');
+            postEmbedState('waiting');
             break;
 
-        case 'error':
-            alert(data.message);
+        case 'waiting-room':
+            showView('stage');
+            document.getElementById('viewer-waiting-text').innerText = 'Waiting for the host to let you in...';
+            document.getElementById('viewer-waiting').classList.remove('hidden');
+            postEmbedState('lobby');
             break;
 
-        case 'viewer-connect':
-            handleViewerConnect(data.id);
+        case 'kicked':
+            exitSession(data.banned ? 'You have been banned from this room' : 'You were removed from the room');
             break;
 
-        case 'offer':
-            handleOffer(data);
+        case 'resumed':
+            setConnectionStatus(null);
+            if (data.role === 'broadcaster') {
+                // The client reconciled the audience with the server's
+                updateViewerCount();
+                renderLobby();
+            }
             break;
 
-        case 'answer': if (currentRole === 'broadcaster') {
-            if (data.from && viewerPCs.has(data.from)) {
-                const pc = viewerPCs.get(data.from);
+        case 'broadcaster-away':
+            setConnectionStatus('Host reconnecting...');
+            postEmbedState('host-away');
+            break;
 
-                try {
-                    await pc.setRemoteDescription(new RTCSessionDescription(data.sdp));
-                }
+        case 'broadcaster-back':
+            setConnectionStatus(null);
+            postEmbedState(client.upstream?.connectionState === 'connected' ? 'connected' : 'waiting');
+            break;
 
-                catch (e) {
-                    console.error('Error setting remote desc (answer):', e);
-                }
-            }
-        }
+        case 'broadcaster-left':
+            // Reserved room: the owner stopped, but the room stays open for their return
+            setConnectionStatus(null);
+            resetViewerConnection();
+            document.getElementById('viewer-waiting-text').innerText =
+                'The host stopped presenting. Waiting for them to come back...';
+            document.getElementById('viewer-waiting').classList.remove('hidden');
+            postEmbedState('waiting');
+            break;
 
-        else if (peerConnection) {
-            try {
-                await peerConnection.setRemoteDescription(new RTCSessionDescription(data.sdp));
-            }
+        case 'handoff-request':
+            // Embedded viewers can't present
+            if (embedMode) declineHandoff();
+            else document.getElementById('handoff-prompt').classList.remove('hidden');
+            break;
 
-            catch (e) { }
-        }
+        case 'handoff-declined':
+            alert(`${client.profile(data.id)?.name || data.id} declined to present`);
+            break;
 
+        case 'host-changed':
+            handleHostChanged(data);
             break;
 
-        case 'candidate': if (currentRole === 'broadcaster') {
-            if (data.from && viewerPCs.has(data.from)) {
-                const pc = viewerPCs.get(data.from);
+        case 'error':
+            handleServerError(data);
+            break;
 
-                try {
-                    await pc.addIceCandidate(new RTCIceCandidate(data.candidate));
-                }
+        case 'chat':
+            appendChatMessage(data, true);
+            break;
 
-                catch (e) { }
-            }
-        }
+        case 'chat-history':
+            document.getElementById('chat-messages').replaceChildren();
+            data.messages.forEach(m => appendChatMessage(m, false));
+            applyChatMode(data.mode);
+            break;
 
-        else if (peerConnection) {
-            try {
-                await peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
-            }
+        case 'chat-settings':
+            applyChatMode(data.mode);
+            break;
 
-            catch (e) { }
-        }
+        case 'viewer-knock':
+            document.getElementById('lobby-panel').classList.remove('hidden');
+            renderLobby();
+            break;
 
+        case 'offer':
+            document.getElementById('viewer-waiting').classList.add('hidden');
             break;
 
-        case 'viewer-disconnect': connectedViewers.delete(data.id);
+        case 'room-closed': exitSession(data.reason === 'admin'
+            ? 'This room was closed by an administrator'
+            : 'Broadcaster ended the session');
+            break;
 
-            if (viewerPCs.has(data.id)) {
-                viewerPCs.get(data.id).close();
-                viewerPCs.delete(data.id);
-            }
+        default:
+            // Signaling the client handles on its own falls through here too
+            if (!ChinShareProtocol.ServerMessages.includes(data.type)) console.warn('Unknown message from server:', data.type);
+    }
+}
+
+function handleServerError(data) {
+    // Chat errors show up inline in the chat panel
+    if (data.re === 'chat') {
+        appendChatNotice(data.message);
+        return;
+    }
+    // The client falls back to host candidates on its own
+    if (data.re === 'get-ice') {
+        console.warn('No ICE servers:', data.message);
+        return;
+    }
+    if (data.re === 'handoff') {
+        if (client.role === 'broadcaster') notifyUser(data.message);
+        else abandonHandoff(data.message);
+        return;
+    }
+
+    switch (data.code) {
+        case ErrorCodes.RESUME_FAILED:
+            exitSession('Connection lost and the session has expired');
+            break;
+
+        case ErrorCodes.PASSWORD_REQUIRED:
+        case ErrorCodes.WRONG_PASSWORD:
+            promptForPassphrase(data.code);
+            break;
+
+        case ErrorCodes.JOIN_DENIED:
+        case ErrorCodes.BANNED:
+            exitSession(data.message);
+            break;
 
-            document.getElementById('viewer-count').innerText = `Viewers: ${connectedViewers.size}`;
+        case ErrorCodes.ROOM_NOT_FOUND:
+            postEmbedState('error', { code: data.code });
+            notifyUser('Room not found. Check the code and try again.');
             break;
 
-        case 'room-closed': alert('Broadcaster ended the session');
-            window.location.reload();
+        case ErrorCodes.NOT_OWNER:
+            promptForOwnerToken();
             break;
+
+        case ErrorCodes.RATE_LIMITED:
+        case ErrorCodes.LOCKED_OUT:
+        case ErrorCodes.ROOM_IN_USE:
+        case ErrorCodes.TOO_MANY_ROOMS:
+        case ErrorCodes.ROOM_FULL:
+            postEmbedState('error', { code: data.code });
+            notifyUser(data.message);
+            break;
+
+        case ErrorCodes.UNSUPPORTED_VERSION:
+            postEmbedState('error', { code: data.code });
+            notifyUser('This page is out of date. Reload to update.');
+            break;
+
+        // Protocol bugs on our side: nothing the user can act on
+        case ErrorCodes.BAD_MESSAGE:
+        case ErrorCodes.HELLO_REQUIRED:
+        case ErrorCodes.NOT_ALLOWED:
+        case ErrorCodes.NOT_IN_ROOM:
+        case ErrorCodes.UNKNOWN_PEER: // Usually a viewer that left while we were signaling to it
+            console.error(`Server rejected message (${data.code}):`, data.message);
+            break;
+
+        default:
+            postEmbedState('error', { code: data.code });
+            notifyUser(data.message);
     }
-};
+}
+
+client.connect();
+
+// Closing the tab is a deliberate leave: don't hold our slot on the server
+window.addEventListener('beforeunload', () => client.leave());
 
 // --- Actions ---
 
 function createRoom() {
-    currentRole = 'broadcaster';
-
-    ws.send(JSON.stringify({
-        type: 'create-room'
-    }));
+    const name = document.getElementById('room-name').value.trim().toLowerCase();
+    if (name && !ChinShareProtocol.isRoomName(name)) {
+        return alert('Room names use lowercase letters, digits and dashes, and need at least one letter');
+    }
+    // Reclaiming a reserved room: its settings were fixed when it was reserved
+    const owned = name ? getOwnedRooms()[name] : undefined;
+
+    roomPassphrase = document.getElementById('create-passphrase').value || null;
+
+    const e2ee = document.getElementById('e2ee-toggle').checked;
+    e2eePassphrase = e2ee ? document.getElementById('e2ee-passphrase').value || null : null;
+    if (e2ee && !e2eePassphrase && !owned) e2eePassphrase = generateE2eePassphrase();
+
+    client.createRoom({
+        password: roomPassphrase || undefined,
+        lobby: document.getElementById('lobby-toggle').checked,
+        cascade: document.getElementById('cascade-toggle').checked,
+        e2ee, // Only the flag: the key never leaves the browser
+        name: name || undefined,
+        ownerToken: owned?.token
+    });
 }
 
 function joinRoom() {
-    const code = document.getElementById('room-input').value;
-    if (code.length !== 6) return alert('Invalid code');
+    const code = document.getElementById('room-input').value.trim().toLowerCase();
+    if (!ChinShareProtocol.isRoomCode(code)) return alert('Invalid code');
 
-    currentRole = 'viewer';
+    const name = document.getElementById('display-name').value.trim();
+    localStorage.setItem('chinshare-name', name);
 
-    ws.send(JSON.stringify({
-        type: 'join-room', roomId: code
-    }));
+    client.joinRoom(code, {
+        password: joinPassphrase || undefined,
+        name: name || undefined,
+        e2eeSupported: isE2eeSupported(),
+        clientId: getClientId()
+    });
 
     // Viewer specific UI
     document.getElementById('broadcaster-controls').classList.add('hidden');
     document.getElementById('viewer-controls').classList.remove('hidden');
 }
 
+// Lets a host ban this browser rather than everyone sharing its network address
+function getClientId() {
+    let id = localStorage.getItem('chinshare-client-id');
+    if (!id) {
+        id = crypto.randomUUID();
+        localStorage.setItem('chinshare-client-id', id);
+    }
+    return id;
+}
+
+// Ask for the room passphrase and retry the join
+function promptForPassphrase(code) {
+    if (embedMode) {
+        postEmbedState('passphrase-required', { kind: 'room', wrong: code === ErrorCodes.WRONG_PASSWORD });
+        notifyUser('This room is protected by a passphrase');
+        return;
+    }
+    const message = code === ErrorCodes.WRONG_PASSWORD
+        ? 'Wrong passphrase. Try again:'
+        : 'This room is protected. Enter passphrase:';
+    const pass = prompt(message);
+    if (pass === null) return;
+    joinPassphrase = pass;
+    joinRoom();
+}
+
+// --- Reserved Rooms ---
+// Owner tokens stay in this browser so the owner can start the same room again later.
+// The room's passphrases are asked for again each time: they are never written to storage.
+
+function getOwnedRooms() {
+    try {
+        return JSON.parse(localStorage.getItem('chinshare-owned-rooms')) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveOwnedRoom(name, token) {
+    const owned = getOwnedRooms();
+    owned[name] = { token };
+    localStorage.setItem('chinshare-owned-rooms', JSON.stringify(owned));
+}
+
+function handleReservedRoomCreated(data) {
+    roomPersistent = true;
+    // The room's settings come from the reservation, not from this form
+    if (!data.e2ee) e2eePassphrase = null;
+    else if (!e2eePassphrase) {
+        e2eePassphrase = data.ownerToken
+            ? generateE2eePassphrase()
+            : prompt('This room is end-to-end encrypted. Enter its encryption passphrase:');
+    }
+    if (!data.protected) roomPassphrase = null;
+    else if (!roomPassphrase) {
+        // Only needed to put it in share links; viewers can still be told it separately
+        roomPassphrase = prompt('This room is protected. Enter its passphrase to include it in share links (optional):') || null;
+    }
+
+    if (data.ownerToken) saveOwnedRoom(data.roomId, data.ownerToken);
+
+    document.getElementById('owner-token-display').innerText = getOwnedRooms()[data.roomId].token;
+    document.getElementById('owner-info').classList.remove('hidden');
+}
+
+// The name is reserved and this browser has no (or the wrong) token for it
+function promptForOwnerToken() {
+    const name = document.getElementById('room-name').value.trim().toLowerCase();
+    const token = prompt(`The room name "${name}" is reserved. Enter its owner token to present in it:`);
+    if (!token) return;
+    saveOwnedRoom(name, token.trim());
+    createRoom();
+}
+
 // Global audio context for stereo processing
 let audioContext = null;
 
@@ -236,24 +498,33 @@ let audioContext = null;
 async function processAudioToStereo(stream) {
     const audioTracks = stream.getAudioTracks();
 
-    // If no audio track, return stream as-is
-    if (audioTracks.length === 0) {
+    // If no audio track (and no mic to mix in), return stream as-is
+    if (audioTracks.length === 0 && !micStream) {
         console.log('No audio track to process');
         return stream;
     }
 
+    // Stereo mixer: system audio and the mic each get their own gain
+    let mix;
+    try {
+        mix = createAudioMix();
+        if (micStream) connectMic();
+    } catch (e) {
+        console.error('Audio mixer failed, using original:', e);
+        return stream;
+    }
+
+    // Mic only: the mix is all the audio there is
+    if (audioTracks.length === 0) {
+        return new MediaStream([...stream.getVideoTracks(), ...mix.destination.stream.getAudioTracks()]);
+    }
+
     try {
-        // Create AudioContext with explicit stereo output
-        audioContext = new AudioContext({ sampleRate: 48000 });
+        const { destination, systemGain } = mix;
 
         // Create source from stream
         const source = audioContext.createMediaStreamSource(stream);
 
-        // Create a stereo destination
-        const destination = audioContext.createMediaStreamDestination();
-        destination.channelCount = 2;
-        destination.channelCountMode = 'explicit';
-
         // Create a channel splitter and merger to force stereo
         const audioTrack = audioTracks[0];
         const settings = audioTrack.getSettings();
@@ -269,12 +540,12 @@ async function processAudioToStereo(stream) {
             source.connect(splitter);
             splitter.connect(merger, 0, 0); // Mono to Left
             splitter.connect(merger, 0, 1); // Mono to Right
-            merger.connect(destination);
+            merger.connect(systemGain);
 
             console.log('Converted mono to stereo');
         } else {
             // Already stereo or more, just pass through
-            source.connect(destination);
+            source.connect(systemGain);
             console.log('Audio already stereo, passing through');
         }
 
@@ -300,7 +571,8 @@ async function processAudioToStereo(stream) {
     }
 }
 
-async function startBroadcasting() {
+// Screen (and system audio) capture with the setup view's quality options
+async function captureScreen() {
     const resLimit = document.getElementById('res-limit').value;
 
     let videoConstraints = {
@@ -343,33 +615,41 @@ async function startBroadcasting() {
         };
     }
 
+    let rawStream;
     try {
-        let rawStream;
-        try {
+        rawStream = await navigator.mediaDevices.getDisplayMedia({
+            video: videoConstraints,
+            audio: audioConstraints
+        });
+    } catch (err) {
+        if (forceStereo) {
+            console.warn('Strict stereo constraints failed, falling back to standard:', err);
+            alert('Strict stereo not supported by your browser/device. Falling back to standard stereo.');
             rawStream = await navigator.mediaDevices.getDisplayMedia({
                 video: videoConstraints,
-                audio: audioConstraints
+                audio: {
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false,
+                    channelCount: 2
+                }
             });
-        } catch (err) {
-            if (forceStereo) {
-                console.warn('Strict stereo constraints failed, falling back to standard:', err);
-                alert('Strict stereo not supported by your browser/device. Falling back to standard stereo.');
-                rawStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: videoConstraints,
-                    audio: {
-                        echoCancellation: false,
-                        noiseSuppression: false,
-                        autoGainControl: false,
-                        channelCount: 2
-                    }
-                });
-            } else {
-                throw err;
-            }
+        } else {
+            throw err;
         }
+    }
+    return rawStream;
+}
+
+// `capturedStream`: a capture already made elsewhere (taking over a room as presenter)
+async function startBroadcasting(capturedStream) {
+    try {
+        const rawStream = capturedStream || await captureScreen();
 
         // Process audio to ensure stereo
         localStream = await processAudioToStereo(rawStream);
+        screenTrack = rawStream.getVideoTracks()[0];
+        await refreshOutgoingVideo();
 
         // Switch UI
         showView('stage');
@@ -378,8 +658,10 @@ async function startBroadcasting() {
         document.getElementById('info-bar').classList.remove('hidden');
         document.getElementById('info-bar').style.position = 'absolute';
         document.getElementById('info-bar').style.top = '20px';
-        document.getElementById('stage-room-code').innerText = 'Code: ' + currentRoomId;
+        document.getElementById('stage-room-code').innerText = 'Code: ' + client.roomId;
         document.getElementById('broadcaster-controls').classList.remove('hidden');
+        document.getElementById('annotate-btn').classList.remove('hidden');
+        document.getElementById('annotation-host-options').classList.remove('hidden');
 
         // Setup local preview
         document.getElementById('main-video').srcObject = localStream;
@@ -387,17 +669,13 @@ async function startBroadcasting() {
         document.getElementById('main-video').play();
 
         startUptime();
+        startAdaptiveBitrate();
 
-        // Process queued viewers
-        connectedViewers.forEach(id => {
-            initiateConnection(id);
-        });
+        // Viewers that joined before the stream was ready connect now
+        client.publish(localStream);
 
-        // Track stopped?
-        localStream.getVideoTracks()[0].onended = () => {
-            alert('Sharing stopped');
-            window.location.reload();
-        };
+        // Track stopped? The room stays up while a new source is picked
+        screenTrack.onended = handleCaptureEnded;
 
     }
 
@@ -409,84 +687,44 @@ async function startBroadcasting() {
 // Change screen while broadcasting
 async function changeScreen() {
     try {
-        const resLimit = document.getElementById('res-limit').value;
-        let videoConstraints = { frameRate: 60 };
-        if (resLimit === '1080') videoConstraints.height = { ideal: 1080 };
-        else if (resLimit === '720') videoConstraints.height = { ideal: 720 };
+        const rawStream = await captureScreen();
 
-        // Stop old tracks
+        // Only now that a new source was picked: a cancelled picker keeps the old one.
+        // Stop old tracks (the senders still point at them, for the swap below)
+        const oldVideoTrack = localStream?.getVideoTracks()[0];
         if (localStream) {
             localStream.getTracks().forEach(t => t.stop());
         }
+        if (screenTrack) screenTrack.stop();
+        if (videoPipeline) {
+            videoPipeline.stop();
+            videoPipeline = null;
+        }
 
         // Close old audio context
         if (audioContext) {
             audioContext.close();
             audioContext = null;
-        }
-
-        // Get new screen
-        let rawStream;
-        const forceStereo = document.getElementById('force-stereo').checked;
-
-        let audioConstraints = {
-            echoCancellation: false,
-            noiseSuppression: false,
-            autoGainControl: false,
-            channelCount: 2,
-            sampleRate: 48000
-        };
-
-        if (forceStereo) {
-            audioConstraints = {
-                echoCancellation: false,
-                autoGainControl: false,
-                noiseSuppression: false,
-                googEchoCancellation: false,
-                googAutoGainControl: false,
-                googNoiseSuppression: false,
-                googHighpassFilter: false,
-                channelCount: { ideal: 2, min: 2 },
-                sampleRate: 48000
-            };
-        }
-
-        try {
-            rawStream = await navigator.mediaDevices.getDisplayMedia({
-                video: videoConstraints,
-                audio: audioConstraints
-            });
-        } catch (err) {
-            if (forceStereo) {
-                console.warn('Strict stereo input failed fallback:', err);
-                rawStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: videoConstraints,
-                    audio: {
-                        echoCancellation: false,
-                        noiseSuppression: false,
-                        autoGainControl: false,
-                        channelCount: 2
-                    }
-                });
-            } else {
-                throw err;
-            }
+            audioMix = null; // Rebuilt (mic included) by processAudioToStereo
         }
 
         // Process audio to ensure stereo
         localStream = await processAudioToStereo(rawStream);
+        screenTrack = rawStream.getVideoTracks()[0];
+        await refreshOutgoingVideo();
 
-        // Update local preview
-        document.getElementById('main-video').srcObject = localStream;
+        // Update local preview (the raw capture while redactions are being edited)
+        document.getElementById('main-video').srcObject = editingRedactions ? new MediaStream([screenTrack]) : localStream;
 
         // Replace tracks in all peer connections
         const newVideoTrack = localStream.getVideoTracks()[0];
         const newAudioTrack = localStream.getAudioTracks()[0];
 
-        for (const pc of viewerPCs.values()) {
+        for (const pc of client.peers.values()) {
             const senders = pc.getSenders();
             for (const sender of senders) {
-                if (sender.track?.kind === 'video' && newVideoTrack) {
+                // By identity: a separate camera track is video too
+                if (sender.track === oldVideoTrack && newVideoTrack) {
                     await sender.replaceTrack(newVideoTrack);
                 } else if (sender.track?.kind === 'audio' && newAudioTrack) {
                     await sender.replaceTrack(newAudioTrack);
@@ -494,227 +732,1318 @@ async function changeScreen() {
             }
         }
 
+        client.publish(localStream); // Viewers joining from now on get the new capture
+
         // Track ended event
-        newVideoTrack.onended = () => {
-            alert('Sharing stopped');
-            window.location.reload();
-        };
+        screenTrack.onended = handleCaptureEnded;
+        updateRecordingSource(); // Keeps going in the same file
 
         console.log('Screen changed successfully');
+        return true;
     } catch (e) {
         console.error('Failed to change screen:', e);
+        return false;
     }
 }
 
-// --- WebRTC Logic ---
+// --- Video Pipeline (Broadcaster) ---
+// When the shared screen has to be altered (camera bubble, redaction, crop), frames go through
+// here before they are sent. Insertable streams keep running while the tab is in the
+// background; the canvas fallback runs on a timer, which browsers throttle in hidden tabs.
+let screenTrack = null; // Raw capture; viewers may get the pipeline's output instead
+let videoPipeline = null; // { input, track, stop }
 
-function createPeerConnection(targetId) {
-    const pc = new RTCPeerConnection({
-        iceServers: [{
-            urls: 'stun:stun.l.google.com:19302'
-        }
+function pipelineNeeded() {
+    return (cameraMode === 'bubble' && !!cameraStream) || redactions.length > 0 || !!cropRect;
+}
 
-        ]
-    });
+// `renderFrame(canvas, ctx, source, width, height)` sizes the canvas and draws one output frame
+function createVideoPipeline(input, renderFrame) {
+    const fps = input.getSettings().frameRate || 30;
+
+    if (window.MediaStreamTrackProcessor && window.MediaStreamTrackGenerator) {
+        const processor = new MediaStreamTrackProcessor({ track: input });
+        const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+        const canvas = new OffscreenCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+
+        processor.readable.pipeThrough(new TransformStream({
+            transform(frame, controller) {
+                renderFrame(canvas, ctx, frame, frame.displayWidth, frame.displayHeight);
+                controller.enqueue(new VideoFrame(canvas, { timestamp: frame.timestamp }));
+                frame.close();
+            }
+        })).pipeTo(generator.writable).catch(() => { }); // Ends when either track stops
+
+        return { input, track: generator, stop: () => generator.stop() };
+    }
 
-    pc.onicecandidate = (event) => {
-        if (event.candidate) {
-            ws.send(JSON.stringify({
-                type: 'candidate',
-                candidate: event.candidate,
-                to: targetId, // For broadcaster -> viewer logic
-                from: myId, // For viewer -> broadcaster logic
-                roomId: currentRoomId
-            }));
+    const video = document.createElement('video');
+    video.muted = true;
+    video.srcObject = new MediaStream([input]);
+    video.play();
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const timer = setInterval(() => {
+        if (video.videoWidth) renderFrame(canvas, ctx, video, video.videoWidth, video.videoHeight);
+    }, 1000 / fps);
+    const track = canvas.captureStream(fps).getVideoTracks()[0];
+
+    return {
+        input,
+        track,
+        stop: () => {
+            clearInterval(timer);
+            track.stop();
+            video.srcObject = null;
         }
     };
+}
 
-    return pc;
-}
-
-// SDP Munging for high-quality stereo Opus audio
-function upgradeAudioQuality(sdp) {
-    // Find Opus payload type
-    const opusMatch = sdp.match(/a=rtpmap:(\d+) opus/);
-    if (!opusMatch) return sdp;
-    const opusPayload = opusMatch[1];
-
-    // Replace or add fmtp line for Opus with stereo and high bitrate
-    const fmtpRegex = new RegExp(`a=fmtp:${opusPayload} (.*)`, 'g');
-    if (sdp.match(fmtpRegex)) {
-        // Modify existing fmtp line
-        sdp = sdp.replace(fmtpRegex, (match, params) => {
-            // Remove any existing stereo/bitrate params and add our own
-            let newParams = params.replace(/;?stereo=\d/g, '')
-                .replace(/;?sprop-stereo=\d/g, '')
-                .replace(/;?maxaveragebitrate=\d+/g, '')
-                .replace(/;?cbr=\d/g, '');
-            return `a=fmtp:${opusPayload} ${newParams};stereo=1;sprop-stereo=1;maxaveragebitrate=510000;cbr=1`;
-        });
-    } else {
-        // Add fmtp line after rtpmap
-        sdp = sdp.replace(
-            new RegExp(`(a=rtpmap:${opusPayload} opus[^\n]*)`),
-            `$1\na=fmtp:${opusPayload} minptime=10;useinbandfec=1;stereo=1;sprop-stereo=1;maxaveragebitrate=510000;cbr=1`
-        );
+// Crop, then redactions (placed on the raw capture), then the camera bubble (placed on the output)
+function renderScreenFrame(canvas, ctx, source, width, height) {
+    const even = (v) => Math.max(2, Math.round(v / 2) * 2); // Encoders want even dimensions
+    const crop = cropRect
+        ? { x: Math.round(cropRect.x * width), y: Math.round(cropRect.y * height), w: even(cropRect.w * width), h: even(cropRect.h * height) }
+        : { x: 0, y: 0, w: width, h: height };
+
+    if (canvas.width !== crop.w || canvas.height !== crop.h) {
+        canvas.width = crop.w;
+        canvas.height = crop.h;
+    }
+    ctx.drawImage(source, crop.x, crop.y, crop.w, crop.h, 0, 0, crop.w, crop.h);
+
+    redactions.forEach(r => drawRedaction(ctx, source, r, crop, width, height));
+    if (cameraMode === 'bubble' && cameraVideo?.videoWidth) drawCameraBubble(ctx, crop.w, crop.h);
+}
+
+// Track viewers should get for the current capture, building or dropping the pipeline as needed
+function getOutgoingVideoTrack() {
+    if (!pipelineNeeded()) {
+        if (videoPipeline) videoPipeline.stop();
+        videoPipeline = null;
+        return screenTrack;
+    }
+    if (videoPipeline?.input !== screenTrack) {
+        if (videoPipeline) videoPipeline.stop();
+        videoPipeline = createVideoPipeline(screenTrack, renderScreenFrame);
     }
-    return sdp;
+    return videoPipeline.track;
 }
 
-async function handleViewerConnect(viewerId) {
-    console.log('Viewer joined:', viewerId);
-    connectedViewers.add(viewerId);
+// Swap the outgoing video in localStream and on every sender; no renegotiation needed
+async function refreshOutgoingVideo() {
+    if (!localStream || !screenTrack) return;
+    const oldTrack = localStream.getVideoTracks()[0];
+    const newTrack = getOutgoingVideoTrack();
+    if (newTrack === oldTrack) return;
 
-    document.getElementById('viewer-count').innerText = `Viewers: ${connectedViewers.size}`;
+    if ('contentHint' in newTrack) newTrack.contentHint = oldTrack?.contentHint || screenTrack.contentHint;
+    if (oldTrack) localStream.removeTrack(oldTrack);
+    localStream.addTrack(newTrack);
 
-    if (localStream) {
-        initiateConnection(viewerId);
+    for (const pc of client.peers.values()) {
+        const sender = pc.getSenders().find(s => s.track === oldTrack);
+        if (sender) await sender.replaceTrack(newTrack);
     }
+    updateRecordingSource();
 }
 
-async function initiateConnection(viewerId) {
-    if (viewerPCs.has(viewerId)) return; // Already connecting/connected
+// --- Redaction & Crop (Broadcaster) ---
+// Regions are relative to the raw capture (0..1) and burnt in by the video pipeline, so
+// hidden pixels never leave this machine. While editing, the preview shows the raw capture.
+const REDACTION_MIN_SIZE = 0.01;
+const REDACTION_BLUR_SCALE = 1 / 24; // Downscale factor: coarse enough that text can't be recovered
+let redactions = []; // { x, y, w, h, style: 'blur' | 'black' }
+let cropRect = null; // { x, y, w, h }, null = full frame
+let redactionTool = 'blur';
+let editingRedactions = false;
+let redactionScratch = null; // Small canvas the blur is drawn through
+
+function drawRedaction(ctx, source, r, crop, width, height) {
+    const sx = r.x * width;
+    const sy = r.y * height;
+    const sw = r.w * width;
+    const sh = r.h * height;
+    const x = sx - crop.x;
+    const y = sy - crop.y;
+
+    if (r.style === 'black') {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, sw, sh);
+        return;
+    }
+
+    if (!redactionScratch) {
+        redactionScratch = window.OffscreenCanvas ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+    }
+    const tw = Math.max(1, Math.round(sw * REDACTION_BLUR_SCALE));
+    const th = Math.max(1, Math.round(sh * REDACTION_BLUR_SCALE));
+    redactionScratch.width = tw;
+    redactionScratch.height = th;
+    redactionScratch.getContext('2d').drawImage(source, sx, sy, sw, sh, 0, 0, tw, th);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(redactionScratch, 0, 0, tw, th, x, y, sw, sh);
+}
 
-    const pc = createPeerConnection(viewerId);
-    viewerPCs.set(viewerId, pc);
+function toggleRedactionEditor() {
+    if (!screenTrack) return;
+    editingRedactions = !editingRedactions;
+    document.getElementById('redaction-toolbar').classList.toggle('hidden', !editingRedactions);
+    document.getElementById('redaction-layer').classList.toggle('hidden', !editingRedactions);
+    videoEl.srcObject = editingRedactions ? new MediaStream([screenTrack]) : localStream;
+    renderRedactionBoxes();
+}
 
-    localStream.getTracks().forEach(track => {
-        pc.addTrack(track, localStream);
+function setRedactionTool(tool) {
+    redactionTool = tool;
+    document.querySelectorAll('#redaction-toolbar [data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
     });
+}
 
-    // Apply default bitrates from selects (20Mbps video, 320kbps audio)
-    const videoBitrate = parseInt(document.getElementById('video-bitrate-select').value) * 1000000;
-    const audioBitrate = parseInt(document.getElementById('audio-bitrate-select').value) * 1000;
-    updateBitrateForPC(pc, videoBitrate);
-    updateAudioBitrateForPC(pc, audioBitrate);
-
-    const offer = await pc.createOffer();
-    // Apply SDP munging for high-quality audio
-    offer.sdp = upgradeAudioQuality(offer.sdp);
-    await pc.setLocalDescription(offer);
+// Takes effect on the outgoing track right away (replaceTrack, no renegotiation)
+function applyRedactions() {
+    refreshOutgoingVideo();
+    renderRedactionBoxes();
+}
 
-    ws.send(JSON.stringify({
-        type: 'offer',
-        sdp: offer,
-        to: viewerId,
-        roomId: currentRoomId
-    }));
+function clearRedactions() {
+    redactions = [];
+    cropRect = null;
+    applyRedactions();
 }
 
-// Viewer side logic
-async function handleOffer(data) {
-    document.getElementById('viewer-waiting').classList.add('hidden');
+function removeRedaction(index) {
+    if (index === 'crop') cropRect = null;
+    else redactions.splice(index, 1);
+    applyRedactions();
+}
 
-    peerConnection = createPeerConnection(null);
+// Raw-capture coordinates of a pointer over the preview
+function toCapturePoint(e) {
+    const rect = getVideoContentRect(videoEl);
+    const box = videoEl.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [clamp((e.clientX - box.left - rect.x) / rect.width), clamp((e.clientY - box.top - rect.y) / rect.height)];
+}
 
-    peerConnection.ontrack = (event) => {
-        const video = document.getElementById('main-video');
-        video.srcObject = event.streams[0];
-
-        // Safari fix: Start muted for autoplay, then unmute
-        video.muted = true;
-
-        const playPromise = video.play();
-        if (playPromise !== undefined) {
-            playPromise.then(() => {
-                // Autoplay worked, try to unmute after a short delay
-                setTimeout(() => {
-                    video.muted = false;
-                }, 100);
-            }).catch(err => {
-                console.log('Autoplay blocked, showing play button:', err);
-                showPlayButton();
-            });
-        }
-    };
+function createRedactionBox(region, className, index) {
+    const rect = getVideoContentRect(videoEl);
+    const el = document.createElement('div');
+    el.className = `redaction-box ${className}`;
+    el.style.left = `${rect.x + region.x * rect.width}px`;
+    el.style.top = `${rect.y + region.y * rect.height}px`;
+    el.style.width = `${region.w * rect.width}px`;
+    el.style.height = `${region.h * rect.height}px`;
+
+    if (index !== undefined) {
+        const remove = document.createElement('button');
+        remove.innerText = '×';
+        remove.title = 'Remove';
+        remove.onpointerdown = (e) => e.stopPropagation(); // Don't start a new box
+        remove.onclick = () => removeRedaction(index);
+        el.appendChild(remove);
+    }
+    return el;
+}
 
-    await peerConnection.setRemoteDescription(new RTCSessionDescription(data.sdp));
-    const answer = await peerConnection.createAnswer();
-    await peerConnection.setLocalDescription(answer);
+function renderRedactionBoxes(draft) {
+    const layer = document.getElementById('redaction-layer');
+    if (!editingRedactions) return layer.replaceChildren();
 
-    ws.send(JSON.stringify({
-        type: 'answer',
-        sdp: answer,
-        roomId: currentRoomId,
-        from: myId // IMPORTANT: Send my ID so broadcaster knows who answered
-    }));
+    const boxes = redactions.map((r, i) => createRedactionBox(r, r.style, i));
+    if (cropRect) boxes.push(createRedactionBox(cropRect, 'crop', 'crop'));
+    if (draft) boxes.push(createRedactionBox(draft, `${draft.style} draft`));
+    layer.replaceChildren(...boxes);
 }
 
-// Show play button for Safari/browsers that block autoplay
-function showPlayButton() {
-    // Remove existing play button if any
-    let existingBtn = document.getElementById('safari-play-btn');
-    if (existingBtn) existingBtn.remove();
-
-    const playBtn = document.createElement('button');
-    playBtn.id = 'safari-play-btn';
-    playBtn.className = 'btn';
-    playBtn.innerHTML = '▶ Tap to Play';
-    playBtn.style.cssText = `
-        position: absolute;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        z-index: 1000;
-        padding: 20px 40px;
-        font-size: 1.5rem;
-        background: var(--primary);
-        border: none;
-        border-radius: 12px;
-        cursor: pointer;
-        animation: pulse 1.5s infinite;
-    `;
+function setupRedactionLayer() {
+    const layer = document.getElementById('redaction-layer');
+    let start = null;
+    let draft = null;
 
-    playBtn.onclick = () => {
-        const video = document.getElementById('main-video');
-        video.muted = false;
-        video.play().then(() => {
-            playBtn.remove();
-        }).catch(e => {
-            console.error('Play failed:', e);
-            // Try playing muted as last resort
-            video.muted = true;
-            video.play();
-            playBtn.remove();
-        });
-    };
+    layer.addEventListener('pointerdown', (e) => {
+        start = toCapturePoint(e);
+        layer.setPointerCapture(e.pointerId);
+    });
+    layer.addEventListener('pointermove', (e) => {
+        if (!start) return;
+        const [x, y] = toCapturePoint(e);
+        draft = {
+            x: Math.min(start[0], x), y: Math.min(start[1], y),
+            w: Math.abs(x - start[0]), h: Math.abs(y - start[1]),
+            style: redactionTool === 'crop' ? 'crop' : redactionTool
+        };
+        renderRedactionBoxes(draft);
+    });
+    layer.addEventListener('pointerup', () => {
+        const region = draft;
+        start = null;
+        draft = null;
+        if (!region || region.w < REDACTION_MIN_SIZE || region.h < REDACTION_MIN_SIZE) return renderRedactionBoxes();
+
+        if (region.style === 'crop') cropRect = { x: region.x, y: region.y, w: region.w, h: region.h };
+        else redactions.push(region);
+        applyRedactions();
+    });
+    new ResizeObserver(() => renderRedactionBoxes()).observe(layer);
+}
 
-    document.getElementById('stage').appendChild(playBtn);
+// --- Camera & Microphone (Broadcaster) ---
+// The camera is either composited as a round bubble (movable by dragging the preview)
+// or sent as a second video track that viewers place themselves.
+// Mic and system audio are mixed into the one outgoing audio track.
+const DUCK_LEVEL = 0.25; // System audio level while the presenter talks
+const DUCK_THRESHOLD = 0.02; // Mic RMS that counts as talking
+const DUCK_HOLD = 400; // ms to stay ducked after the last word
+let cameraStream = null;
+let cameraVideo = null; // Plays the camera for the compositor
+let cameraMode = 'off'; // 'off' | 'bubble' | 'track'
+let cameraBubble = { x: 0.86, y: 0.78, size: 0.28 }; // Centre and diameter, relative to the frame
+let micStream = null;
+let audioMix = null; // { destination, systemGain, mic: { source, gain, analyser } }
+let systemVolume = 1;
+let micVolume = 1;
+let micMuted = false;
+let duckingEnabled = false;
+let duckTimer = null;
+let lastSpokeAt = 0;
+
+function toggleAvPanel() {
+    document.getElementById('av-panel').classList.toggle('hidden');
 }
 
-// --- Advanced Controls & Logic ---
+async function setCameraMode(mode) {
+    if (mode !== 'off' && !cameraStream) {
+        try {
+            cameraStream = await navigator.mediaDevices.getUserMedia({
+                video: { width: { ideal: 1280 }, height: { ideal: 720 } }
+            });
+        } catch (e) {
+            console.error('Camera unavailable:', e);
+            alert('Could not open the camera');
+            document.getElementById('camera-mode-select').value = cameraMode;
+            return;
+        }
+        cameraVideo = document.createElement('video');
+        cameraVideo.muted = true;
+        cameraVideo.playsInline = true;
+        cameraVideo.srcObject = cameraStream;
+        cameraVideo.play();
+        cameraStream.getVideoTracks()[0].onended = () => setCameraMode('off');
+    }
 
-let zoomLevel = 1;
-let statsInterval = null;
-let videoEl = document.getElementById('main-video');
+    const previous = cameraMode;
+    cameraMode = mode;
+    document.getElementById('camera-mode-select').value = mode;
+    document.getElementById('camera-size-row').classList.toggle('hidden', mode !== 'bubble');
 
-// Initial setup
-videoEl.onvolumechange = () => {
-    const btn = document.getElementById('mute-btn');
-    btn.innerText = videoEl.muted || videoEl.volume === 0 ? '🔇' : '🔊';
-};
+    if (previous === 'track' && mode !== 'track') removeCameraTrack();
+    if (mode === 'track' && previous !== 'track') addCameraTrack();
+    showCameraPip(mode === 'track' ? cameraStream : null);
+    await refreshOutgoingVideo();
 
-function stopSharing() {
-    if (localStream) {
-        localStream.getTracks().forEach(t => t.stop());
-        alert('Sharing stopped');
-        window.location.reload();
+    if (mode === 'off' && cameraStream) {
+        cameraStream.getTracks().forEach(t => t.stop());
+        cameraStream = null;
+        cameraVideo = null;
     }
 }
 
-// --- Video Bitrate ---
-function updateVideoBitrate(mbps) {
-    const bps = parseInt(mbps) * 1000000;
-    for (const pc of viewerPCs.values()) {
-        updateBitrateForPC(pc, bps);
-    }
+// Separate-track mode adds an m-line, so every viewer gets a new offer
+function addCameraTrack() {
+    const track = cameraStream.getVideoTracks()[0];
+    client.peers.forEach((pc, id) => {
+        pc.addTrack(track, cameraStream);
+        if (sharingPaused) applyOutgoingTracks(pc); // Held back behind the slate until resume
+        applyE2ee(pc);
+        client.renegotiate(id, { iceRestart: false }).catch(e => console.error('Renegotiation failed:', e));
+    });
 }
 
-// --- Audio Bitrate ---
-function updateAudioBitrateSelect(kbps) {
-    const bps = parseInt(kbps) * 1000;
-    for (const pc of viewerPCs.values()) {
-        updateAudioBitrateForPC(pc, bps);
+function removeCameraTrack() {
+    const track = cameraStream?.getVideoTracks()[0];
+    client.peers.forEach((pc, id) => {
+        const sender = pc.getSenders().find(s => s.track === track);
+        if (!sender) return;
+        pc.removeTrack(sender);
+        client.renegotiate(id, { iceRestart: false }).catch(e => console.error('Renegotiation failed:', e));
+    });
+}
+
+function setCameraSize(size) {
+    cameraBubble.size = parseFloat(size);
+}
+
+function drawCameraBubble(ctx, width, height) {
+    const d = cameraBubble.size * height;
+    const cx = cameraBubble.x * width;
+    const cy = cameraBubble.y * height;
+
+    // Centre square of the camera, cropped into a circle
+    const vw = cameraVideo.videoWidth;
+    const vh = cameraVideo.videoHeight;
+    const side = Math.min(vw, vh);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, d / 2, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(cameraVideo, (vw - side) / 2, (vh - side) / 2, side, side, cx - d / 2, cy - d / 2, d, d);
+    ctx.restore();
+
+    ctx.lineWidth = Math.max(2, d * 0.02);
+    ctx.strokeStyle = 'white';
+    ctx.beginPath();
+    ctx.arc(cx, cy, d / 2, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+// Broadcaster drags the bubble around on the local preview
+function setupCameraBubbleDrag() {
+    let dragging = false;
+
+    const toFrame = (e) => {
+        const rect = getVideoContentRect(videoEl);
+        const box = videoEl.getBoundingClientRect();
+        return [(e.clientX - box.left - rect.x) / rect.width, (e.clientY - box.top - rect.y) / rect.height];
+    };
+
+    videoEl.addEventListener('pointerdown', (e) => {
+        if (client.role !== 'broadcaster' || cameraMode !== 'bubble' || !videoEl.videoHeight) return;
+        const [x, y] = toFrame(e);
+        // Distance in frame-height units, since the bubble's size is relative to the height
+        const aspect = videoEl.videoWidth / videoEl.videoHeight;
+        if (Math.hypot((x - cameraBubble.x) * aspect, y - cameraBubble.y) > cameraBubble.size / 2) return;
+        dragging = true;
+        videoEl.setPointerCapture(e.pointerId);
+    });
+    videoEl.addEventListener('pointermove', (e) => {
+        if (!dragging) return;
+        const [x, y] = toFrame(e);
+        cameraBubble.x = Math.min(1, Math.max(0, x));
+        cameraBubble.y = Math.min(1, Math.max(0, y));
+    });
+    const stop = () => { dragging = false; };
+    videoEl.addEventListener('pointerup', stop);
+    videoEl.addEventListener('pointercancel', stop);
+}
+
+// Floating camera window: the broadcaster's self view, or the viewer's copy of a camera track
+function showCameraPip(stream) {
+    const pip = document.getElementById('camera-pip');
+    document.getElementById('camera-video').srcObject = stream;
+    pip.classList.toggle('hidden', !stream);
+}
+
+function setupCameraPipDrag() {
+    const pip = document.getElementById('camera-pip');
+    let start = null;
+
+    pip.addEventListener('pointerdown', (e) => {
+        // Leave the bottom-right corner to the CSS resize handle
+        if (e.offsetX > pip.clientWidth - 20 && e.offsetY > pip.clientHeight - 20) return;
+        start = { x: e.clientX - pip.offsetLeft, y: e.clientY - pip.offsetTop };
+        pip.setPointerCapture(e.pointerId);
+    });
+    pip.addEventListener('pointermove', (e) => {
+        if (!start) return;
+        pip.style.left = `${e.clientX - start.x}px`;
+        pip.style.top = `${e.clientY - start.y}px`;
+        pip.style.right = 'auto';
+    });
+    const stop = () => { start = null; };
+    pip.addEventListener('pointerup', stop);
+    pip.addEventListener('pointercancel', stop);
+}
+
+// --- Audio Mix ---
+function createAudioMix() {
+    audioContext = new AudioContext({ sampleRate: 48000 });
+
+    const destination = audioContext.createMediaStreamDestination();
+    destination.channelCount = 2;
+    destination.channelCountMode = 'explicit';
+
+    const systemGain = audioContext.createGain();
+    systemGain.gain.value = systemVolume;
+    systemGain.connect(destination);
+
+    audioMix = { destination, systemGain, mic: null };
+    return audioMix;
+}
+
+function connectMic() {
+    const source = audioContext.createMediaStreamSource(micStream);
+    const gain = audioContext.createGain();
+    gain.gain.value = micMuted ? 0 : micVolume;
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+
+    source.connect(gain);
+    gain.connect(audioMix.destination);
+    source.connect(analyser); // Level metering for ducking only
+
+    audioMix.mic = { source, gain, analyser };
+    if (!duckTimer) duckTimer = setInterval(updateDucking, 50);
+}
+
+async function setMicEnabled(enabled) {
+    if (!enabled) {
+        if (audioMix?.mic) {
+            audioMix.mic.source.disconnect();
+            audioMix.mic.gain.disconnect();
+            audioMix.mic = null;
+        }
+        if (micStream) micStream.getTracks().forEach(t => t.stop());
+        micStream = null;
+        return;
+    }
+
+    try {
+        micStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+    } catch (e) {
+        console.error('Microphone unavailable:', e);
+        alert('Could not open the microphone');
+        document.getElementById('mic-toggle').checked = false;
+        return;
+    }
+
+    if (audioMix) {
+        connectMic();
+        return;
+    }
+
+    // The capture had no audio: the mix becomes a brand new track for every viewer
+    createAudioMix();
+    connectMic();
+    const track = audioMix.destination.stream.getAudioTracks()[0];
+    localStream.addTrack(track);
+    client.peers.forEach((pc, id) => {
+        pc.addTrack(track, localStream);
+        if (sharingPaused) applyOutgoingTracks(pc); // Held back behind the slate until resume
+        applyE2ee(pc);
+        client.renegotiate(id, { iceRestart: false }).catch(e => console.error('Renegotiation failed:', e));
+    });
+}
+
+function setMicMuted(muted) {
+    micMuted = muted;
+    if (audioMix?.mic) audioMix.mic.gain.gain.value = muted ? 0 : micVolume;
+}
+
+function setMicVolume(value) {
+    micVolume = parseFloat(value);
+    if (audioMix?.mic && !micMuted) audioMix.mic.gain.gain.value = micVolume;
+}
+
+function setSystemVolume(value) {
+    systemVolume = parseFloat(value);
+    if (audioMix) audioMix.systemGain.gain.value = systemVolume;
+}
+
+function setDucking(enabled) {
+    duckingEnabled = enabled;
+}
+
+// Lower system audio while the mic picks up speech
+function updateDucking() {
+    if (!audioMix?.mic) return;
+    const { analyser } = audioMix.mic;
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    const rms = Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+
+    const now = Date.now();
+    if (rms > DUCK_THRESHOLD && !micMuted) lastSpokeAt = now;
+    const ducked = duckingEnabled && now - lastSpokeAt < DUCK_HOLD;
+    audioMix.systemGain.gain.setTargetAtTime(systemVolume * (ducked ? DUCK_LEVEL : 1), audioContext.currentTime, 0.08);
+}
+
+// --- WebRTC Logic ---
+
+// Relay-only mode forces all media through TURN (remembered per browser)
+function isRelayOnly() {
+    return document.getElementById('relay-only').checked;
+}
+
+function setRelayOnly(enabled) {
+    localStorage.setItem('chinshare-relay-only', enabled ? '1' : '');
+}
+
+let relayChannels = new Map(); // Viewer, cascade rooms: child viewer id -> annotations data channel
+
+client.on('viewer-joined', (viewerId, profile) => {
+    console.log('Viewer joined:', viewerId, profile.name);
+    updateViewerCount();
+    renderLobby();
+});
+client.on('viewer-left', () => {
+    updateViewerCount();
+    renderLobby();
+});
+client.on('peer-state', () => renderLobby());
+client.on('recovering', () => renderLobby());
+client.on('error', ({ id, kind, error }) => console.error(`Connection error (${kind} ${id}):`, error));
+client.on('negotiated', reportNegotiatedCodec);
+client.on('peer', setupPeer);
+client.on('peer-closed', handlePeerClosed);
+
+// New connection, before its offer/answer: everything that must be part of the negotiation
+function setupPeer({ id, pc, kind }) {
+    if (kind === 'upstream') {
+        pc.ondatachannel = (event) => {
+            if (event.channel.label !== 'annotations') return;
+            annotationChannel = event.channel;
+            setupAnnotationChannel(annotationChannel, null);
+        };
+        return;
+    }
+
+    // Must exist before the offer so it is part of the negotiation
+    const channel = pc.createDataChannel('annotations');
+    if (kind === 'relay') {
+        relayChannels.set(id, channel);
+        setupRelayAnnotationChannel(channel, id);
+        applyE2ee(pc); // Our feed arrives decrypted: encrypt it again for the next hop
+        return;
+    }
+
+    annotationChannels.set(id, channel);
+    setupAnnotationChannel(channel, id);
+    if (cameraMode === 'track' && cameraStream) {
+        pc.addTrack(cameraStream.getVideoTracks()[0], cameraStream);
+    }
+    if (sharingPaused) applyOutgoingTracks(pc); // Newcomers get the slate too
+    applyE2ee(pc);
+    applyCodecPreference(pc);
+
+    // Video starts at this viewer's adaptive target (the select's ceiling for newcomers)
+    const audioBitrate = parseInt(document.getElementById('audio-bitrate-select').value) * 1000;
+    applyViewerEncoding(id);
+    updateAudioBitrateForPC(pc, audioBitrate);
+}
+
+function handlePeerClosed({ id, kind }) {
+    if (kind === 'relay') {
+        relayChannels.delete(id);
+        return;
+    }
+    annotationChannels.delete(id);
+    lasers.delete(id);
+    viewerBitrate.delete(id);
+    viewerCodecs.delete(id);
+    updateCodecSummary();
+}
+
+// --- End-to-End Encryption ---
+// Media frames are encrypted with AES-GCM in e2ee-worker.js, on top of DTLS, so TURN servers only
+// see ciphertext. Relaying viewers in cascade rooms hold the key like every viewer: they decrypt what
+// they receive and encrypt it again for the next hop. The key comes from a passphrase that travels
+// in the link's fragment; the server only learns that the room is encrypted.
+const E2EE_PBKDF2_ITERATIONS = 200000;
+let e2eeRoom = false;
+let e2eeWorker = null; // Set once this browser encrypts/decrypts for the room
+let e2eeReady = Promise.resolve(); // Key derivation; connections wait for it
+let e2eeState = null; // 'pending' | 'active' | 'no-key' | 'wrong-key' | 'unsupported'
+const e2eeTransformed = new WeakSet(); // Senders/receivers that already have a transform
+
+function isE2eeSupported() {
+    return 'RTCRtpScriptTransform' in window ||
+        (!!window.RTCRtpSender && 'createEncodedStreams' in RTCRtpSender.prototype);
+}
+
+function generateE2eePassphrase() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Room id as salt: the same passphrase gives every room a different key
+async function deriveE2eeKey(passphrase, roomId) {
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(`chinshare-e2ee:${roomId}`), iterations: E2EE_PBKDF2_ITERATIONS },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+// Encrypted room: transforms go on every connection from now on, keyed or not,
+// so nothing is ever sent in the clear and undecryptable frames are dropped
+function setupE2ee(roomId, passphrase) {
+    e2eeRoom = true;
+    if (!isE2eeSupported()) {
+        setE2eeState('unsupported');
+        return;
+    }
+
+    if (!e2eeWorker) {
+        e2eeWorker = new Worker('e2ee-worker.js');
+        e2eeWorker.onmessage = (event) => {
+            if (event.data.type !== 'decrypt-status' || e2eeState === 'no-key' || e2eeState === 'pending') return;
+            setE2eeState(event.data.ok ? 'active' : 'wrong-key');
+        };
+    }
+    if (!passphrase) {
+        setE2eeState('no-key');
+        return;
+    }
+
+    e2eePassphrase = passphrase;
+    setE2eeState('pending');
+    e2eeReady = deriveE2eeKey(passphrase, roomId).then(key => {
+        e2eeWorker.postMessage({ type: 'key', key });
+        setE2eeState('active');
+    });
+}
+
+// Viewer: retry with another passphrase from the status badge
+function promptE2eePassphrase() {
+    // Embedded: the parent page supplies it (see "Embed")
+    if (embedMode || client.role !== 'viewer' || (e2eeState !== 'no-key' && e2eeState !== 'wrong-key')) return;
+    const passphrase = prompt('Enter the encryption passphrase:');
+    if (passphrase) setupE2ee(client.roomId, passphrase);
+}
+
+function applyE2ee(pc) {
+    if (!e2eeWorker) return;
+    pc.getSenders().forEach(sender => attachE2eeTransform(sender, 'encrypt'));
+    pc.getReceivers().forEach(receiver => attachE2eeTransform(receiver, 'decrypt'));
+}
+
+function attachE2eeTransform(endpoint, operation) {
+    if (e2eeTransformed.has(endpoint)) return;
+    e2eeTransformed.add(endpoint);
+
+    if ('RTCRtpScriptTransform' in window) {
+        endpoint.transform = new RTCRtpScriptTransform(e2eeWorker, { operation });
+        return;
+    }
+    const { readable, writable } = endpoint.createEncodedStreams();
+    e2eeWorker.postMessage({ type: 'streams', operation, readable, writable }, [readable, writable]);
+}
+
+// Broadcaster: viewers whose browser has no encoded transforms get no connection
+function canReceiveE2ee(viewerId) {
+    return !e2eeRoom || client.profile(viewerId)?.e2eeSupported !== false;
+}
+
+function setE2eeState(state) {
+    e2eeState = state;
+    const el = document.getElementById('e2ee-status');
+    el.innerText = {
+        pending: '🔒 Setting up encryption...',
+        active: '🔒 End-to-end encrypted',
+        'no-key': '⚠ Encrypted room: enter the passphrase',
+        'wrong-key': '⚠ Can\'t decrypt: wrong encryption passphrase?',
+        unsupported: '⚠ This browser can\'t decrypt this encrypted room'
+    }[state];
+    el.classList.toggle('warn', state !== 'active' && state !== 'pending');
+    el.classList.remove('hidden');
+    if (state === 'no-key' || state === 'wrong-key') {
+        postEmbedState('passphrase-required', { kind: 'e2ee', wrong: state === 'wrong-key' });
+    }
+}
+
+// --- Codec Preference (Broadcaster) ---
+// The preferred codec is offered first and the rest stay listed, so each viewer's
+// answer falls back to the best codec it can decode
+const CODEC_MIME_TYPES = { av1: 'video/AV1', vp9: 'video/VP9', h264: 'video/H264', vp8: 'video/VP8' };
+let viewerCodecs = new Map(); // id -> negotiated video codec, e.g. 'VP9'
+
+// Disable the codecs this browser can't send
+function setupCodecSelect() {
+    const select = document.getElementById('codec-select');
+    const caps = window.RTCRtpReceiver?.getCapabilities?.('video');
+    const canPrefer = !!window.RTCRtpTransceiver && 'setCodecPreferences' in RTCRtpTransceiver.prototype;
+
+    [...select.options].forEach(option => {
+        const mimeType = CODEC_MIME_TYPES[option.value];
+        if (!mimeType) return;
+        option.disabled = !canPrefer || !caps?.codecs.some(c => c.mimeType.toLowerCase() === mimeType.toLowerCase());
+    });
+
+    const saved = localStorage.getItem('chinshare-codec');
+    const savedOption = [...select.options].find(o => o.value === saved);
+    if (savedOption && !savedOption.disabled) select.value = saved;
+}
+
+function setPreferredCodec(codec) {
+    localStorage.setItem('chinshare-codec', codec);
+}
+
+function applyCodecPreference(pc) {
+    const preferred = CODEC_MIME_TYPES[document.getElementById('codec-select').value]?.toLowerCase();
+    const transceiver = pc.getTransceivers().find(t => t.sender.track?.kind === 'video');
+    const caps = window.RTCRtpReceiver?.getCapabilities?.('video');
+    if ((!preferred && !e2eeWorker) || !transceiver?.setCodecPreferences || !caps) return;
+
+    // H.264 and AV1 packetizers parse the payload, which E2EE scrambles
+    const codecs = e2eeWorker ? caps.codecs.filter(c => !/^video\/(h264|h265|av1)$/i.test(c.mimeType)) : caps.codecs;
+    const isPreferred = (c) => c.mimeType.toLowerCase() === preferred;
+    try {
+        transceiver.setCodecPreferences([...codecs.filter(isPreferred), ...codecs.filter(c => !isPreferred(c))]);
+    } catch (e) {
+        console.warn('Codec preference not applied:', e);
+    }
+}
+
+// First codec in the negotiated parameters is the one being sent
+function reportNegotiatedCodec(viewerId, pc) {
+    const sender = pc.getSenders().find(s => s.track?.kind === 'video');
+    const codec = sender?.getParameters().codecs?.[0]?.mimeType?.replace('video/', '');
+    if (!codec) return;
+
+    viewerCodecs.set(viewerId, codec);
+    if (isCodecFallback(codec)) console.log(`Viewer ${viewerId} fell back to ${codec}`);
+    updateCodecSummary();
+    renderLobby();
+}
+
+function isCodecFallback(codec) {
+    const preferred = CODEC_MIME_TYPES[document.getElementById('codec-select').value];
+    return !!preferred && preferred.toLowerCase() !== `video/${codec}`.toLowerCase();
+}
+
+// "VP9 ×3, VP8 ×1" in the info bar
+function updateCodecSummary() {
+    const counts = new Map();
+    viewerCodecs.forEach(codec => counts.set(codec, (counts.get(codec) || 0) + 1));
+    const el = document.getElementById('codec-summary');
+    el.innerText = [...counts].map(([codec, count]) => `${codec} ×${count}`).join(', ');
+    el.classList.toggle('hidden', counts.size === 0);
+}
+
+// --- Waiting Room (Broadcaster) ---
+function setLobbyMode(enabled) {
+    client.send({ type: 'set-lobby', enabled });
+}
+
+function admitViewer(viewerId) {
+    client.send({ type: 'admit', id: viewerId });
+}
+
+function denyViewer(viewerId, ban) {
+    if (ban && !confirm('Ban this viewer for the rest of the session?')) return;
+    client.send({ type: 'deny', id: viewerId, ban });
+}
+
+// Server replies with viewer-disconnect, which closes the client's connection to them
+function kickViewer(viewerId, ban) {
+    if (ban && !confirm('Ban this viewer for the rest of the session?')) return;
+    client.send({ type: 'kick', id: viewerId, ban });
+}
+
+function updateViewerCount() {
+    document.getElementById('viewer-count').innerText = `👤 ${client.viewers.size}`;
+}
+
+function toggleLobbyPanel() {
+    document.getElementById('lobby-panel').classList.toggle('hidden');
+}
+
+function createLobbyRow(viewerId, actions, detail) {
+    const row = document.createElement('div');
+    row.className = 'lobby-row';
+
+    const label = document.createElement('span');
+    label.innerText = client.profile(viewerId)?.name || viewerId;
+    label.title = viewerId;
+    if (detail) {
+        const small = document.createElement('small');
+        small.innerText = detail;
+        label.appendChild(small);
+    }
+    row.appendChild(label);
+
+    actions.forEach(([text, onClick, danger]) => {
+        const btn = document.createElement('button');
+        btn.className = danger ? 'ctrl-btn small danger' : 'ctrl-btn small';
+        btn.innerText = text;
+        btn.onclick = onClick;
+        row.appendChild(btn);
+    });
+    return row;
+}
+
+function renderLobby() {
+    document.getElementById('lobby-badge').innerText = client.pending.size;
+
+    const pendingList = document.getElementById('lobby-pending');
+    pendingList.replaceChildren(...[...client.pending.keys()].map(id => createLobbyRow(id, [
+        ['Admit', () => admitViewer(id)],
+        ['Deny', () => denyViewer(id, false), true],
+        ['Ban', () => denyViewer(id, true), true]
+    ])));
+
+    const viewerList = document.getElementById('lobby-viewers');
+    viewerList.replaceChildren(...[...client.viewers.keys()].map(id => createLobbyRow(id, [
+        // Only the owner presents in a reserved room
+        ...(roomPersistent ? [] : [['Present', () => requestHandoff(id)]]),
+        ['Kick', () => kickViewer(id, false), true],
+        ['Ban', () => kickViewer(id, true), true]
+    ], describeParticipant(id))));
+}
+
+// "joined 14:02 · connected" from the viewer's profile and connection
+function describeParticipant(viewerId) {
+    const joinedAt = client.profile(viewerId)?.joinedAt;
+    const joined = joinedAt
+        ? `joined ${new Date(joinedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'joined';
+
+    if (!client.isDirectViewer(viewerId)) {
+        const parent = client.viewers.get(viewerId).parent;
+        return `${joined} · via ${client.profile(parent)?.name || parent}`;
+    }
+
+    const pc = client.peers.get(viewerId);
+    let state = pc ? pc.connectionState : 'waiting for stream';
+    if (client.recovery.get(viewerId)?.timer) state += ' (recovering)';
+
+    const abr = viewerBitrate.get(viewerId);
+    if (pc && abr) {
+        state += ` · ${(abr.target / 1000000).toFixed(1)} Mbps`;
+        if (abr.scale > 1) state += ` @ 1/${abr.scale}`;
+        if (abr.fps) state += ` ${abr.fps}fps`;
+        state += ` · ${Math.round(abr.loss * 100)}% loss, ${Math.round(abr.rtt * 1000)}ms`;
+    }
+    const codec = viewerCodecs.get(viewerId);
+    if (codec) state += ` · ${codec}${isCodecFallback(codec) ? ' (fallback)' : ''}`;
+    if (!canReceiveE2ee(viewerId)) state = '⚠ browser can\'t decrypt, not sent';
+    return `${joined} · ${state}`;
+}
+
+// --- Host Handoff ---
+// The broadcaster asks a viewer to present; the viewer picks a screen first, then accepts.
+// The server swaps the roles and the new presenter connects to everyone, old host included.
+let handoffStream = null; // Viewer: capture made when accepting, used once we are the host
+
+function requestHandoff(viewerId) {
+    const name = client.profile(viewerId)?.name || viewerId;
+    if (!confirm(`Ask ${name} to present? You'll stay in the room as a viewer.`)) return;
+    client.send({ type: 'handoff', id: viewerId });
+}
+
+// Capturing here keeps the picker inside the click that accepted
+async function acceptHandoff() {
+    document.getElementById('handoff-prompt').classList.add('hidden');
+    try {
+        handoffStream = await captureScreen();
+    } catch (e) {
+        console.error('Capture for handoff failed:', e);
+        declineHandoff();
+        return;
+    }
+    client.send({ type: 'handoff-accept' });
+}
+
+function declineHandoff() {
+    document.getElementById('handoff-prompt').classList.add('hidden');
+    client.send({ type: 'handoff-decline' });
+}
+
+// The server turned the accept down (host gone, or asked someone else)
+function abandonHandoff(message) {
+    if (handoffStream) handoffStream.getTracks().forEach(t => t.stop());
+    handoffStream = null;
+    notifyUser(message);
+}
+
+function handleHostChanged(data) {
+    if (data.role === 'broadcaster') becomePresenter(data);
+    else becomeViewer();
+}
+
+// The client has already switched roles and taken over the waiting room
+async function becomePresenter(data) {
+    resetViewerConnection();
+    roomPassphrase = joinPassphrase; // Same room, same passphrase for the share link
+
+    document.getElementById('lobby-live-toggle').checked = !!data.lobby;
+    document.getElementById('viewer-controls').classList.add('hidden');
+    document.getElementById('viewer-waiting').classList.add('hidden');
+    applyAnnotationSettings(false);
+
+    // Viewers arrive as viewer-connect and queue until the stream is ready
+    const stream = handoffStream;
+    handoffStream = null;
+    await startBroadcasting(stream);
+    renderLobby();
+    updateRecordingSource(); // A local recording follows us onto the stage
+}
+
+// Old host or any other viewer: drop the previous presenter and wait for the new one's offer
+function becomeViewer() {
+    if (localStream) stopBroadcasting();
+    resetViewerConnection();
+    document.getElementById('viewer-waiting-text').innerText = 'Waiting for the new presenter...';
+    document.getElementById('viewer-waiting').classList.remove('hidden');
+    postEmbedState('waiting');
+}
+
+// Viewer: everything tied to the current presenter's connection
+function resetViewerConnection() {
+    client.closeUpstream();
+    annotationChannel = null;
+    annotations = [];
+    lasers.clear();
+    requestAnnotationRender();
+    showCameraPip(null);
+    viewerReconnecting = false;
+    document.getElementById('video-reconnecting').classList.add('hidden');
+    videoEl.classList.remove('stalled');
+    videoEl.srcObject = null;
+}
+
+// Old host: close every viewer connection and release the capture devices
+function stopBroadcasting() {
+    client.resetBroadcast();
+    clearInterval(abrInterval);
+    abrInterval = null;
+    clearInterval(uptimeInterval);
+    uptimeInterval = null;
+
+    if (sharingPaused) setPaused(false);
+    if (editingRedactions) toggleRedactionEditor();
+    if (screenTrack) screenTrack.onended = null;
+    if (localStream) localStream.getTracks().forEach(t => t.stop());
+    if (screenTrack) screenTrack.stop();
+    if (videoPipeline) videoPipeline.stop();
+    if (audioContext) audioContext.close();
+    clearInterval(duckTimer);
+    duckTimer = null;
+    localStream = null;
+    screenTrack = null;
+    videoPipeline = null;
+    audioContext = null;
+    audioMix = null;
+    if (cameraMode !== 'off') setCameraMode('off'); // After localStream is gone: nothing left to re-route
+    setMicEnabled(false);
+
+    ['info-bar', 'broadcaster-controls', 'annotation-host-options', 'lobby-panel', 'av-panel', 'source-picker']
+        .forEach(id => document.getElementById(id).classList.add('hidden'));
+    document.getElementById('viewer-controls').classList.remove('hidden');
+    videoEl.muted = false;
+    renderLobby();
+    updateCodecSummary();
+}
+
+// --- Peer Recovery (Viewer) ---
+let viewerReconnecting = false;
+let viewerReconnects = 0;
+
+client.on('connection-state', handleViewerConnectionState);
+client.on('track', handleRemoteTrack);
+
+// Show a reconnecting state instead of leaving a frozen frame on screen
+function handleViewerConnectionState(state) {
+    if (state === 'disconnected' || state === 'failed') {
+        if (!viewerReconnecting) viewerReconnects++;
+        viewerReconnecting = true;
+    } else if (state === 'connected') {
+        viewerReconnecting = false;
+    }
+    document.getElementById('video-reconnecting').classList.toggle('hidden', !viewerReconnecting);
+    document.getElementById('main-video').classList.toggle('stalled', viewerReconnecting);
+    if (state === 'connected') postEmbedState('connected');
+    else if (viewerReconnecting) postEmbedState('reconnecting');
+}
+
+// Viewer side logic
+function handleRemoteTrack({ track, stream, camera }) {
+    applyE2ee(client.upstream); // Before any frame is decoded
+
+    if (camera) {
+        showCameraPip(new MediaStream([track]));
+        track.onmute = () => showCameraPip(null);
+        track.onunmute = () => showCameraPip(new MediaStream([track]));
+        return;
+    }
+
+    const video = document.getElementById('main-video');
+    video.srcObject = stream;
+    updateRecordingSource(); // A reconnect brings a new stream
+
+    // Safari fix: Start muted for autoplay, then unmute
+    video.muted = true;
+
+    const playPromise = video.play();
+    if (playPromise !== undefined) {
+        playPromise.then(() => {
+            // Autoplay worked, try to unmute after a short delay
+            setTimeout(() => {
+                video.muted = embedMuted; // The embedding page may have muted us already
+            }, 100);
+        }).catch(err => {
+            console.log('Autoplay blocked, showing play button:', err);
+            showPlayButton();
+        });
+    }
+}
+
+// Show play button for Safari/browsers that block autoplay
+function showPlayButton() {
+    // Remove existing play button if any
+    let existingBtn = document.getElementById('safari-play-btn');
+    if (existingBtn) existingBtn.remove();
+
+    const playBtn = document.createElement('button');
+    playBtn.id = 'safari-play-btn';
+    playBtn.className = 'btn';
+    playBtn.innerHTML = '▶ Tap to Play';
+    playBtn.style.cssText = `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        z-index: 1000;
+        padding: 20px 40px;
+        font-size: 1.5rem;
+        background: var(--primary);
+        border: none;
+        border-radius: 12px;
+        cursor: pointer;
+        animation: pulse 1.5s infinite;
+    `;
+
+    playBtn.onclick = () => {
+        const video = document.getElementById('main-video');
+        video.muted = false;
+        video.play().then(() => {
+            playBtn.remove();
+        }).catch(e => {
+            console.error('Play failed:', e);
+            // Try playing muted as last resort
+            video.muted = true;
+            video.play();
+            playBtn.remove();
+        });
+    };
+
+    document.getElementById('stage').appendChild(playBtn);
+}
+
+// --- Advanced Controls & Logic ---
+
+let zoomLevel = 1;
+let statsInterval = null;
+let videoEl = document.getElementById('main-video');
+
+// Initial setup
+videoEl.onvolumechange = () => {
+    const btn = document.getElementById('mute-btn');
+    btn.innerText = videoEl.muted || videoEl.volume === 0 ? '🔇' : '🔊';
+};
+
+// Stops the capture only; viewers stay connected and see a slate until a new source is picked
+function stopSharing() {
+    if (!screenTrack || screenTrack.readyState === 'ended') return;
+    screenTrack.stop(); // stop() doesn't fire onended
+    handleCaptureEnded();
+}
+
+// --- Pause & Source Picker (Broadcaster) ---
+// Pausing swaps every viewer's video for a slate and their audio for silence with
+// replaceTrack, so connections and the room survive untouched
+const SLATE_WIDTH = 1280;
+const SLATE_HEIGHT = 720;
+let sharingPaused = false;
+let slate = null; // { canvas, track, timer, text }
+
+function createSlate(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = SLATE_WIDTH;
+    canvas.height = SLATE_HEIGHT;
+    const slateState = { canvas, text, track: canvas.captureStream(5).getVideoTracks()[0] };
+
+    // Repaint so the track keeps producing frames for new viewers
+    const paint = () => {
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, SLATE_WIDTH, SLATE_HEIGHT);
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '600 56px system-ui, sans-serif';
+        ctx.fillText(slateState.text, SLATE_WIDTH / 2, SLATE_HEIGHT / 2);
+    };
+    paint();
+    slateState.timer = setInterval(paint, 500);
+    return slateState;
+}
+
+// Put the right track on every sender: the slate/silence while paused, the live tracks otherwise.
+// Transceivers are matched by position: first video = screen, later ones = separate camera.
+function applyOutgoingTracks(pc) {
+    let seenVideo = false;
+    pc.getTransceivers().forEach(t => {
+        if (t.stopped || t.currentDirection === 'stopped') return;
+        let track;
+        if (t.receiver.track.kind === 'audio') {
+            track = sharingPaused ? null : localStream?.getAudioTracks()[0] ?? null;
+        } else if (!seenVideo) {
+            seenVideo = true;
+            track = sharingPaused ? slate.track : localStream?.getVideoTracks()[0] ?? null;
+        } else {
+            track = sharingPaused || cameraMode !== 'track' ? null : cameraStream?.getVideoTracks()[0] ?? null;
+        }
+        if (t.sender.track !== track) t.sender.replaceTrack(track).catch(e => console.error('replaceTrack:', e));
+    });
+}
+
+function setPaused(paused, text = 'Presenter paused') {
+    if (paused) {
+        if (slate) slate.text = text;
+        else slate = createSlate(text);
+    }
+    sharingPaused = paused;
+    client.peers.forEach(pc => applyOutgoingTracks(pc));
+
+    if (!paused && slate) {
+        clearInterval(slate.timer);
+        slate.track.stop();
+        slate = null;
+    }
+
+    document.getElementById('pause-btn').innerText = paused ? '▶ Resume' : '⏸ Pause';
+    document.getElementById('paused-banner').classList.toggle('hidden', !paused);
+}
+
+function togglePause() {
+    // Resuming needs something live to send
+    if (sharingPaused && (!screenTrack || screenTrack.readyState === 'ended')) return;
+    setPaused(!sharingPaused);
+}
+
+// Capture ended (browser's "Stop sharing" or our Stop button)
+function handleCaptureEnded() {
+    setPaused(true, 'Presenter is picking a new screen...');
+    document.getElementById('source-picker').classList.remove('hidden');
+}
+
+async function pickNewSource() {
+    if (!await changeScreen()) return; // Picker cancelled: stay here
+    document.getElementById('source-picker').classList.add('hidden');
+    setPaused(false);
+}
+
+function endSession() {
+    if (!confirm('End the session for everyone?')) return;
+    client.leave();
+    window.location.reload();
+}
+
+// --- Video Bitrate ---
+// The select is the ceiling; each viewer's adaptive target stays at or below it
+function updateVideoBitrate(mbps) {
+    const ceiling = parseInt(mbps) * 1000000;
+    client.peers.forEach((pc, id) => {
+        const abr = getViewerBitrate(id);
+        abr.target = Math.min(abr.ceilingReached ? ceiling : abr.target, ceiling);
+        abr.ceilingReached = abr.target === ceiling;
+        applyViewerEncoding(id);
+    });
+}
+
+// --- Adaptive Bitrate (Broadcaster) ---
+// Every viewer's sender is tuned from its own stats: back off fast on loss/RTT, creep back up when clean
+const ABR_INTERVAL = 2000;
+const ABR_MIN_BITRATE = 300000;
+const ABR_BACKOFF = 0.7;
+const ABR_RAMP_UP = 1.1;
+const ABR_LOSS_HIGH = 0.08; // Fraction of packets lost in the last report
+const ABR_LOSS_LOW = 0.02;
+const ABR_RTT_HIGH = 0.4; // Seconds
+let abrInterval = null;
+let viewerBitrate = new Map(); // id -> { target, scale, fps, loss, rtt, available, ceilingReached }
+
+function getVideoCeiling() {
+    return parseInt(document.getElementById('video-bitrate-select').value) * 1000000;
+}
+
+function getViewerBitrate(viewerId) {
+    if (!viewerBitrate.has(viewerId)) {
+        viewerBitrate.set(viewerId, {
+            target: getVideoCeiling(), scale: 1, fps: null,
+            loss: 0, rtt: 0, available: null, ceilingReached: true
+        });
+    }
+    return viewerBitrate.get(viewerId);
+}
+
+function startAdaptiveBitrate() {
+    if (abrInterval) clearInterval(abrInterval);
+    abrInterval = setInterval(() => {
+        client.peers.forEach((pc, id) => {
+            if (pc.connectionState === 'connected') adaptViewerBitrate(id, pc).catch(e => console.error('ABR:', e));
+        });
+    }, ABR_INTERVAL);
+}
+
+async function adaptViewerBitrate(viewerId, pc) {
+    const abr = getViewerBitrate(viewerId);
+    const stats = await pc.getStats();
+
+    stats.forEach(report => {
+        if (report.type === 'remote-inbound-rtp' && report.kind === 'video') {
+            if (typeof report.fractionLost === 'number') abr.loss = report.fractionLost;
+            if (typeof report.roundTripTime === 'number') abr.rtt = report.roundTripTime;
+        }
+        if (report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded') {
+            abr.available = report.availableOutgoingBitrate ?? null;
+        }
+    });
+
+    const ceiling = getVideoCeiling();
+    let target = abr.target;
+    if (abr.loss > ABR_LOSS_HIGH || abr.rtt > ABR_RTT_HIGH) {
+        target *= ABR_BACKOFF;
+    } else if (abr.loss < ABR_LOSS_LOW) {
+        target *= ABR_RAMP_UP;
+    }
+    // Never aim far past what the congestion controller thinks the path can take
+    if (abr.available) target = Math.min(target, abr.available * 1.2);
+    target = Math.round(Math.max(ABR_MIN_BITRATE, Math.min(ceiling, target)));
+
+    abr.ceilingReached = target === ceiling;
+    if (target === abr.target) return;
+    abr.target = target;
+    await applyViewerEncoding(viewerId);
+    renderLobby();
+}
+
+// Low targets trade resolution or framerate depending on the content hint:
+// text/detail keeps full resolution and drops frames, motion keeps frames and scales down
+function applyViewerEncoding(viewerId) {
+    const pc = client.peers.get(viewerId);
+    if (!pc) return;
+    const abr = getViewerBitrate(viewerId);
+    const hint = localStream?.getVideoTracks()[0]?.contentHint || 'motion';
+
+    if (abr.target < 1000000) {
+        abr.scale = hint === 'motion' ? 2 : 1;
+        abr.fps = hint === 'motion' ? 30 : 10;
+    } else if (abr.target < 2500000) {
+        abr.scale = hint === 'motion' ? 1.5 : 1;
+        abr.fps = hint === 'motion' ? null : 20;
+    } else {
+        abr.scale = 1;
+        abr.fps = null;
+    }
+
+    return updateBitrateForPC(pc, abr.target, { scale: abr.scale, fps: abr.fps });
+}
+
+// --- Audio Bitrate ---
+function updateAudioBitrateSelect(kbps) {
+    const bps = parseInt(kbps) * 1000;
+    for (const pc of client.peers.values()) {
+        updateAudioBitrateForPC(pc, bps);
     }
 }
 
@@ -771,6 +2100,8 @@ function applyZoom() {
         // But keeping 'contain' with scale works best for simple zoom
         videoEl.style.transform = `scale(${zoomLevel})`;
     }
+    // Annotations ride along with the video
+    document.getElementById('annotation-canvas').style.transform = videoEl.style.transform;
 }
 
 // --- Audio ---
@@ -782,7 +2113,640 @@ function setVolume(val) {
     videoEl.muted = (val === 0);
 }
 
+// --- Embed ---
+// /embed?r=CODE shows only the stage, as a viewer. The parent page drives it with postMessage
+// ({ type: 'chinshare:mute' | 'chinshare:volume' | 'chinshare:zoom' | 'chinshare:fullscreen' | 'chinshare:get-stats' |
+// 'chinshare:passphrase' }) and hears back 'chinshare:state', 'chinshare:audio', 'chinshare:fullscreen',
+// 'chinshare:stats' and 'chinshare:message'. Passphrases are never prompted for: the parent gets a
+// 'passphrase-required' state and answers with 'chinshare:passphrase'.
+// Fullscreen needs the iframe's allow="fullscreen" and a user gesture in the parent.
+const EMBED_PREFIX = 'chinshare:';
+// Messages are only exchanged with the framing page: the origin it names in ?origin=, else the one
+// the browser reports. With neither, the embed still plays but its postMessage API stays off.
+const embedParentOrigin = (() => {
+    try {
+        const named = new URLSearchParams(location.search).get('origin');
+        if (named) return new URL(named).origin;
+        if (location.ancestorOrigins?.length) return location.ancestorOrigins[0];
+        return document.referrer ? new URL(document.referrer).origin : null;
+    } catch {
+        return null;
+    }
+})();
+let embedMuted = false;
+let embedStatsPrev = new Map(); // get-stats keeps its own counters: the overlay polls on its own timer
+
+function setupEmbed() {
+    document.body.classList.add('embed');
+    showView('stage');
+    document.getElementById('viewer-waiting-text').innerText = 'Connecting...';
+    document.getElementById('viewer-waiting').classList.remove('hidden');
+
+    if (embedParentOrigin) window.addEventListener('message', handleEmbedCommand);
+    else console.warn('Embed: parent origin unknown, postMessage API disabled. Add ?origin= to the embed URL.');
+    videoEl.addEventListener('volumechange', () =>
+        postEmbedEvent('audio', { muted: videoEl.muted, volume: videoEl.volume }));
+    document.addEventListener('fullscreenchange', () =>
+        postEmbedEvent('fullscreen', { on: !!document.fullscreenElement }));
+
+    // handleWelcome joins the room from the same ?r= parameter once the socket is up
+    const code = new URLSearchParams(location.search).get('r')?.toLowerCase();
+    if (!code || !ChinShareProtocol.isRoomCode(code)) {
+        postEmbedState('error', { code: ErrorCodes.ROOM_NOT_FOUND });
+        notifyUser('No room code in the embed URL');
+        return;
+    }
+    postEmbedState('connecting');
+}
+
+function postEmbedEvent(type, detail = {}) {
+    if (!embedMode || !embedParentOrigin || window.parent === window) return;
+    window.parent.postMessage({ ...detail, type: EMBED_PREFIX + type }, embedParentOrigin);
+}
+
+function postEmbedState(state, detail = {}) {
+    postEmbedEvent('state', { ...detail, state, roomId: client.roomId });
+}
+
+async function handleEmbedCommand(event) {
+    const msg = event.data;
+    if (event.source !== window.parent || event.origin !== embedParentOrigin) return;
+    if (typeof msg?.type !== 'string' || !msg.type.startsWith(EMBED_PREFIX)) return;
+
+    switch (msg.type.slice(EMBED_PREFIX.length)) {
+        case 'mute':
+            embedMuted = typeof msg.muted === 'boolean' ? msg.muted : !videoEl.muted;
+            videoEl.muted = embedMuted;
+            break;
+
+        case 'volume':
+            if (typeof msg.volume !== 'number') return;
+            setVolume(Math.min(1, Math.max(0, msg.volume)));
+            embedMuted = videoEl.muted;
+            break;
+
+        case 'zoom':
+            if (typeof msg.level !== 'number') return;
+            zoomLevel = Math.max(0.5, msg.level);
+            applyZoom();
+            break;
+
+        case 'fullscreen': {
+            const on = typeof msg.on === 'boolean' ? msg.on : !document.fullscreenElement;
+            if (on !== !!document.fullscreenElement) toggleFullscreen();
+            break;
+        }
+
+        case 'passphrase':
+            if (typeof msg.passphrase !== 'string' || !msg.passphrase) return;
+            if (msg.kind === 'e2ee') {
+                if (client.role === 'viewer' && e2eeRoom) setupE2ee(client.roomId, msg.passphrase);
+            } else if (!client.roomId) {
+                joinPassphrase = msg.passphrase;
+                joinRoom();
+            }
+            break;
+
+        case 'get-stats':
+            // Same fields as the stats overlay; rates cover the time since the parent last asked.
+            // Null until the presenter's stream arrives
+            postEmbedEvent('stats', {
+                requestId: msg.requestId,
+                stats: client.upstream ? await collectPeerStats('host', client.upstream, embedStatsPrev) : null
+            });
+            break;
+    }
+}
+
+// Alerts would block the embedding page; it gets an event and the message shows on the stage
+function notifyUser(message) {
+    if (!embedMode) {
+        alert(message);
+        return;
+    }
+    postEmbedEvent('message', { message });
+    document.getElementById('viewer-waiting-text').innerText = message;
+    document.getElementById('viewer-waiting').classList.remove('hidden');
+}
+
+// Removed from the room: back to the home view, or (embedded) stay on a closing message
+function exitSession(message) {
+    if (!embedMode) {
+        alert(message);
+        window.location.reload();
+        return;
+    }
+    client.disconnect(); // The server hangs up next; that's not a connection problem
+    resetViewerConnection();
+    postEmbedState('ended', { message });
+    notifyUser(message);
+}
+
+// --- Chat ---
+const CHAT_DOM_LIMIT = 200; // Oldest messages are dropped from the panel past this
+let chatMode = 'open';
+let unreadChat = 0;
+
+function toggleChat() {
+    const panel = document.getElementById('chat-panel');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) {
+        unreadChat = 0;
+        updateChatBadge();
+        document.getElementById('chat-input').focus();
+    }
+}
+
+function sendChat(event) {
+    event.preventDefault();
+    const input = document.getElementById('chat-input');
+    const text = input.value.trim();
+    if (!text) return;
+
+    client.send({ type: 'chat', text });
+    input.value = '';
+}
+
+// Broadcaster only: open, read-only (host posts only) or off
+function setChatMode(mode) {
+    client.send({ type: 'chat-settings', mode });
+}
+
+function applyChatMode(mode) {
+    chatMode = mode;
+    const isHost = client.role === 'broadcaster';
+    const canPost = mode === 'open' || (mode === 'read-only' && isHost);
+
+    document.getElementById('chat-mode-select').value = mode;
+    document.getElementById('chat-mode-select').classList.toggle('hidden', !isHost);
+
+    const input = document.getElementById('chat-input');
+    input.disabled = !canPost;
+    input.placeholder = canPost ? 'Message' : (mode === 'off' ? 'Chat is off' : 'Only the host can chat');
+
+    // Viewers lose the panel entirely when chat is off
+    if (!isHost && mode === 'off') {
+        document.getElementById('chat-panel').classList.add('hidden');
+    }
+    document.getElementById('chat-btn').classList.toggle('hidden', !isHost && mode === 'off');
+}
+
+function chatSenderName(msg) {
+    if (msg.from === 'host') return client.role === 'broadcaster' ? 'You' : 'Host';
+    if (msg.from === client.id) return 'You';
+    return msg.name;
+}
+
+function appendChatLine(el) {
+    const list = document.getElementById('chat-messages');
+    list.appendChild(el);
+    while (list.childElementCount > CHAT_DOM_LIMIT) list.firstElementChild.remove();
+    list.scrollTop = list.scrollHeight;
+}
+
+function appendChatMessage(msg, isNew) {
+    const el = document.createElement('div');
+    el.className = msg.from === 'host' ? 'chat-msg host' : 'chat-msg';
+    el.title = new Date(msg.ts).toLocaleTimeString();
+
+    const name = document.createElement('b');
+    name.innerText = chatSenderName(msg);
+    el.appendChild(name);
+    el.appendChild(document.createTextNode(msg.text));
+    appendChatLine(el);
+
+    if (isNew && document.getElementById('chat-panel').classList.contains('hidden')) {
+        unreadChat++;
+        updateChatBadge();
+    }
+}
+
+function appendChatNotice(text) {
+    const el = document.createElement('div');
+    el.className = 'chat-msg notice';
+    el.innerText = text;
+    appendChatLine(el);
+}
+
+function updateChatBadge() {
+    const badge = document.getElementById('chat-badge');
+    badge.innerText = unreadChat;
+    badge.classList.toggle('hidden', unreadChat === 0);
+}
+
+// --- Annotations (Telestrator) ---
+// Strokes travel over an 'annotations' data channel on each viewer connection, with
+// points normalized to the video frame (0..1) so they line up at any size or zoom.
+// The broadcaster is the hub: viewer strokes are checked, stamped and relayed.
+const ANNOTATION_TOOLS = ['pen', 'arrow', 'box', 'laser'];
+const ANNOTATION_MAX_POINTS = 1000;
+const ANNOTATION_SYNC_LIMIT = 50; // Strokes sent to a viewer whose channel just opened
+const ANNOTATION_FADE_AFTER = 4000;
+const ANNOTATION_FADE_TIME = 1000;
+const LASER_TIMEOUT = 1500; // Laser dot hides if its owner goes quiet
+let annotationChannels = new Map(); // Broadcaster: viewer id -> RTCDataChannel
+let annotationChannel = null; // Viewer: channel from the broadcaster
+let annotations = []; // { id, tool, color, points, fade, from, ts }
+let lasers = new Map(); // from -> { x, y, color, ts }
+let annotationTool = null; // null = not drawing, pointer events reach the video
+let viewersCanDraw = false;
+let currentStroke = null;
+let lastLaserSent = 0;
+let annotationFrame = null;
+
+function setupAnnotationChannel(channel, viewerId) {
+    channel.onmessage = (event) => {
+        let msg;
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
+        if (client.role === 'broadcaster') {
+            handleAnnotationMessage(msg, viewerId);
+            return;
+        }
+        // Our feeder may itself be a viewer (cascade rooms): pass on only what we accepted
+        const accepted = handleAnnotationMessage(msg);
+        if (accepted) relayAnnotation(JSON.stringify(accepted), 'parent');
+    };
+
+    if (client.role === 'broadcaster') {
+        channel.onopen = () => sendAnnotationSnapshot(channel);
+        channel.onclose = () => {
+            if (annotationChannels.get(viewerId) === channel) annotationChannels.delete(viewerId);
+            lasers.delete(viewerId);
+            requestAnnotationRender();
+        };
+    }
+}
+
+// Late joiners get the current permissions and whatever is on screen
+function sendAnnotationSnapshot(channel) {
+    channel.send(JSON.stringify({ type: 'settings', viewersCanDraw }));
+    const recent = annotations.filter(a => !a.fade).slice(-ANNOTATION_SYNC_LIMIT);
+    channel.send(JSON.stringify({ type: 'sync', annotations: recent }));
+}
+
+// Cascade rooms: a relaying viewer passes annotations on in both directions. Like the
+// broadcaster, it checks its children's input and stamps it with the child it came from.
+function setupRelayAnnotationChannel(channel, childId) {
+    channel.onopen = () => sendAnnotationSnapshot(channel);
+    channel.onmessage = (event) => {
+        let msg;
+        try { msg = JSON.parse(event.data); } catch (e) { return; }
+        const stamped = viewersCanDraw ? stampAnnotation(msg, childId) : null;
+        if (!stamped) return;
+        applyAnnotation(stamped);
+        relayAnnotation(JSON.stringify(stamped), childId);
+    };
+}
+
+// Viewer: forward to our feeder and relay children, except back where it came from ('parent' or a child id)
+function relayAnnotation(payload, exceptId) {
+    const targets = [...relayChannels];
+    if (annotationChannel) targets.push(['parent', annotationChannel]);
+    targets.forEach(([id, channel]) => {
+        if (id !== exceptId && channel.readyState === 'open') channel.send(payload);
+    });
+}
+
+// Broadcaster -> every open viewer channel (optionally skipping the viewer it came from)
+function broadcastAnnotation(msg, exceptId) {
+    const payload = JSON.stringify(msg);
+    annotationChannels.forEach((channel, id) => {
+        if (id !== exceptId && channel.readyState === 'open') channel.send(payload);
+    });
+}
+
+function sendAnnotation(msg) {
+    if (client.role === 'broadcaster') {
+        broadcastAnnotation(msg);
+    } else {
+        relayAnnotation(JSON.stringify(msg));
+    }
+}
+
+const isUnit = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+
+function isValidAnnotation(msg) {
+    switch (msg.type) {
+        case 'stroke':
+            return ANNOTATION_TOOLS.includes(msg.tool) && msg.tool !== 'laser' &&
+                typeof msg.id === 'string' && msg.id.length <= 32 &&
+                /^#[0-9a-f]{6}$/i.test(msg.color) &&
+                Array.isArray(msg.points) && msg.points.length > 0 && msg.points.length <= ANNOTATION_MAX_POINTS &&
+                msg.points.every(p => Array.isArray(p) && isUnit(p[0]) && isUnit(p[1]));
+        case 'laser':
+            return isUnit(msg.x) && isUnit(msg.y) && /^#[0-9a-f]{6}$/i.test(msg.color);
+        case 'laser-end':
+        case 'clear':
+            return true;
+        default:
+            return false;
+    }
+}
+
+// A clean copy of a valid annotation, credited to `from`; null if it isn't valid
+function stampAnnotation(msg, from) {
+    if (!msg || typeof msg !== 'object' || typeof from !== 'string' || !isValidAnnotation(msg)) return null;
+    switch (msg.type) {
+        case 'stroke':
+            return { type: 'stroke', id: msg.id, tool: msg.tool, color: msg.color, points: msg.points, fade: !!msg.fade, from };
+        case 'laser':
+            return { type: 'laser', x: msg.x, y: msg.y, color: msg.color, from };
+        default:
+            return { type: msg.type, from };
+    }
+}
+
+// Returns what was accepted (viewers pass that on to their relay children), or null
+function handleAnnotationMessage(msg, fromViewer) {
+    if (!msg || typeof msg !== 'object') return null;
+
+    if (client.role === 'broadcaster') {
+        // Viewer input: only when allowed, and stamped with who really sent it
+        const stamped = viewersCanDraw ? stampAnnotation(msg, fromViewer) : null;
+        if (!stamped) return null;
+        applyAnnotation(stamped);
+        broadcastAnnotation(stamped, fromViewer);
+        return stamped;
+    }
+
+    // From our feeder. It keeps the sender's stamp, but is checked like anything else:
+    // in cascade rooms the feeder is another viewer
+    switch (msg.type) {
+        case 'settings': {
+            const settings = { type: 'settings', viewersCanDraw: !!msg.viewersCanDraw };
+            applyAnnotationSettings(settings.viewersCanDraw);
+            return settings;
+        }
+        case 'sync': {
+            const strokes = (Array.isArray(msg.annotations) ? msg.annotations : [])
+                .slice(-ANNOTATION_SYNC_LIMIT)
+                .map(a => stampAnnotation({ ...a, type: 'stroke' }, a?.from))
+                .filter(Boolean);
+            annotations = [];
+            strokes.forEach(a => applyAnnotation(a));
+            return { type: 'sync', annotations: strokes };
+        }
+        default: {
+            const accepted = stampAnnotation(msg, msg.from);
+            if (accepted) applyAnnotation(accepted);
+            return accepted;
+        }
+    }
+}
+
+// Update local state from a stroke/laser/clear, ours or remote
+function applyAnnotation(msg) {
+    switch (msg.type) {
+        case 'stroke':
+            // Fade timing runs on local clocks
+            annotations.push({ id: msg.id, tool: msg.tool, color: msg.color, points: msg.points, fade: !!msg.fade, from: msg.from, ts: Date.now() });
+            break;
+        case 'laser':
+            lasers.set(msg.from, { x: msg.x, y: msg.y, color: msg.color, ts: Date.now() });
+            break;
+        case 'laser-end':
+            lasers.delete(msg.from);
+            break;
+        case 'clear':
+            annotations = [];
+            break;
+    }
+    requestAnnotationRender();
+}
+
+function myAnnotationId() {
+    return client.role === 'broadcaster' ? 'host' : client.id;
+}
+
+// --- Annotations: toolbar ---
+function toggleAnnotationToolbar() {
+    const toolbar = document.getElementById('annotation-toolbar');
+    toolbar.classList.toggle('hidden');
+    if (toolbar.classList.contains('hidden')) setAnnotationTool(null);
+}
+
+function setAnnotationTool(tool) {
+    annotationTool = tool === annotationTool ? null : tool;
+    document.querySelectorAll('#annotation-toolbar [data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === annotationTool);
+    });
+    document.getElementById('annotation-canvas').classList.toggle('drawing', !!annotationTool);
+}
+
+function clearAnnotations() {
+    const msg = { type: 'clear', from: myAnnotationId() };
+    applyAnnotation(msg);
+    sendAnnotation(msg);
+}
+
+// Broadcaster only
+function setViewersCanDraw(enabled) {
+    viewersCanDraw = enabled;
+    broadcastAnnotation({ type: 'settings', viewersCanDraw });
+}
+
+// Viewer: the broadcaster decides whether viewers may draw
+function applyAnnotationSettings(canDraw) {
+    viewersCanDraw = canDraw;
+    document.getElementById('annotate-btn').classList.toggle('hidden', !canDraw);
+    if (!canDraw) {
+        document.getElementById('annotation-toolbar').classList.add('hidden');
+        setAnnotationTool(null);
+    }
+}
+
+// --- Annotations: drawing ---
+// Where the video frame actually sits inside the canvas (object-fit: contain), in CSS px
+function getVideoContentRect(canvas) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const videoRatio = videoEl.videoWidth && videoEl.videoHeight ? videoEl.videoWidth / videoEl.videoHeight : width / height;
+
+    if (width / height > videoRatio) {
+        const w = height * videoRatio;
+        return { x: (width - w) / 2, y: 0, width: w, height };
+    }
+    const h = width / videoRatio;
+    return { x: 0, y: (height - h) / 2, width, height: h };
+}
+
+function toVideoPoint(canvas, event) {
+    // The canvas shares the video's zoom transform, so undo it via the on-screen box
+    const box = canvas.getBoundingClientRect();
+    const x = (event.clientX - box.left) * canvas.clientWidth / box.width;
+    const y = (event.clientY - box.top) * canvas.clientHeight / box.height;
+    const rect = getVideoContentRect(canvas);
+    const clamp = (v) => Math.round(Math.min(1, Math.max(0, v)) * 10000) / 10000;
+    return [clamp((x - rect.x) / rect.width), clamp((y - rect.y) / rect.height)];
+}
+
+function setupAnnotationCanvas() {
+    const canvas = document.getElementById('annotation-canvas');
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!annotationTool) return;
+        canvas.setPointerCapture(e.pointerId);
+        const point = toVideoPoint(canvas, e);
+        currentStroke = {
+            type: 'stroke',
+            id: Math.random().toString(36).slice(2, 10),
+            tool: annotationTool,
+            color: document.getElementById('annotation-color').value,
+            points: [point],
+            fade: document.getElementById('annotation-fade').checked,
+            from: myAnnotationId()
+        };
+        if (annotationTool === 'laser') moveLaser(point);
+        requestAnnotationRender();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!currentStroke) return;
+        const point = toVideoPoint(canvas, e);
+        if (currentStroke.tool === 'laser') {
+            moveLaser(point);
+        } else if (currentStroke.tool === 'pen') {
+            if (currentStroke.points.length < ANNOTATION_MAX_POINTS) currentStroke.points.push(point);
+        } else {
+            currentStroke.points = [currentStroke.points[0], point]; // Arrow/box: start + end
+        }
+        requestAnnotationRender();
+    });
+
+    const finishStroke = () => {
+        if (!currentStroke) return;
+        const stroke = currentStroke;
+        currentStroke = null;
+
+        if (stroke.tool === 'laser') {
+            const msg = { type: 'laser-end', from: stroke.from };
+            applyAnnotation(msg);
+            sendAnnotation(msg);
+            return;
+        }
+        if (stroke.tool !== 'pen' && stroke.points.length < 2) return requestAnnotationRender();
+        applyAnnotation(stroke);
+        sendAnnotation(stroke);
+    };
+    canvas.addEventListener('pointerup', finishStroke);
+    canvas.addEventListener('pointercancel', finishStroke);
+
+    // Keep the backing store matched to the on-screen size (resize, fullscreen, new source)
+    const resize = () => {
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * dpr);
+        canvas.height = Math.round(canvas.clientHeight * dpr);
+        requestAnnotationRender();
+    };
+    new ResizeObserver(resize).observe(canvas);
+    videoEl.addEventListener('resize', resize);
+}
+
+function moveLaser(point) {
+    const msg = { type: 'laser', x: point[0], y: point[1], color: currentStroke.color, from: currentStroke.from };
+    applyAnnotation(msg);
+
+    // ~30 updates a second is plenty for a pointer
+    const now = Date.now();
+    if (now - lastLaserSent < 33) return;
+    lastLaserSent = now;
+    sendAnnotation(msg);
+}
+
+function requestAnnotationRender() {
+    if (!annotationFrame) annotationFrame = requestAnimationFrame(renderAnnotations);
+}
+
+function renderAnnotations() {
+    annotationFrame = null;
+    const canvas = document.getElementById('annotation-canvas');
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const rect = getVideoContentRect(canvas);
+    const now = Date.now();
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+
+    const toPx = ([x, y]) => [rect.x + x * rect.width, rect.y + y * rect.height];
+    let animating = false;
+
+    annotations = annotations.filter(a => !a.fade || now - a.ts < ANNOTATION_FADE_AFTER + ANNOTATION_FADE_TIME);
+    const visible = currentStroke && currentStroke.tool !== 'laser' ? [...annotations, currentStroke] : annotations;
+
+    visible.forEach(a => {
+        let alpha = 1;
+        if (a.fade && a.ts) {
+            alpha = Math.min(1, 1 - (now - a.ts - ANNOTATION_FADE_AFTER) / ANNOTATION_FADE_TIME);
+            animating = true;
+        }
+        ctx.globalAlpha = alpha;
+        drawAnnotation(ctx, a, a.points.map(toPx));
+    });
+
+    lasers.forEach((laser, from) => {
+        if (now - laser.ts > LASER_TIMEOUT) return lasers.delete(from);
+        const [x, y] = toPx([laser.x, laser.y]);
+        ctx.globalAlpha = 1;
+        ctx.shadowColor = laser.color;
+        ctx.shadowBlur = 16;
+        ctx.fillStyle = laser.color;
+        ctx.beginPath();
+        ctx.arc(x, y, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.shadowBlur = 0;
+        animating = true;
+    });
+
+    if (animating) requestAnnotationRender();
+}
+
+function drawAnnotation(ctx, a, pts) {
+    ctx.strokeStyle = a.color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (a.tool === 'pen') {
+        ctx.beginPath();
+        ctx.moveTo(pts[0][0], pts[0][1]);
+        pts.slice(1).forEach(([x, y]) => ctx.lineTo(x, y));
+        if (pts.length === 1) ctx.lineTo(pts[0][0] + 0.1, pts[0][1]); // Dot
+        ctx.stroke();
+        return;
+    }
+    if (pts.length < 2) return;
+    const [[x1, y1], [x2, y2]] = pts;
+
+    if (a.tool === 'box') {
+        const alpha = ctx.globalAlpha;
+        ctx.fillStyle = a.color;
+        ctx.globalAlpha = alpha * 0.15;
+        ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+        ctx.globalAlpha = alpha;
+        ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+    } else if (a.tool === 'arrow') {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = 18;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.moveTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+    }
+}
+
 // --- Stats ---
+// One sample per connection per tick; rates come from counter deltas between ticks
+const STATS_INTERVAL = 1000;
+const STATS_RECORDING_LIMIT = 100000; // Samples kept per recording
+const STATS_FIELDS = ['ts', 'peer', 'direction', 'bitrate', 'fps', 'width', 'height', 'loss', 'jitter', 'rtt', 'freezes', 'codec', 'relayed'];
+let statsPrev = new Map(); // peer -> { ts, bytes, packets, lost }
+let statsRecording = null; // Samples of the current/last recording
+let statsRecordingActive = false;
+
 function toggleStats() {
     const el = document.getElementById('stats-overlay');
     if (el.classList.contains('hidden')) {
@@ -790,46 +2754,447 @@ function toggleStats() {
         startStatsLoop();
     } else {
         el.classList.add('hidden');
-        if (statsInterval) clearInterval(statsInterval);
+        if (!statsRecordingActive) stopStatsLoop();
     }
 }
 
 function startStatsLoop() {
-    if (statsInterval) clearInterval(statsInterval);
-    statsInterval = setInterval(async () => {
-        let pc = null;
-        if (currentRole === 'viewer') pc = peerConnection;
-        else if (connectedViewers.size > 0) {
-            // Pick first viewer for stats
-            const firstId = connectedViewers.values().next().value;
-            pc = viewerPCs.get(firstId);
-        }
-
-        if (!pc) return;
-
-        const stats = await pc.getStats();
-        stats.forEach(report => {
-            // Viewer Inbound Video
-            if (report.type === 'inbound-rtp' && report.kind === 'video') {
-                document.getElementById('stat-res').innerText = (report.frameWidth || '-') + 'x' + (report.frameHeight || '-');
-                document.getElementById('stat-fps').innerText = report.framesPerSecond || '-';
-                // Bitrate calc requires storing prev bytes. Simplifying for now to simple snapshot if available, 
-                // or just showing packetsLost
-                document.getElementById('stat-loss').innerText = report.packetsLost || 0;
-
-                // Bitrate estimation (rough)
-                // We need state to calc bitrate. 
-            }
-            // Broadcaster Outbound Video
-            if (report.type === 'outbound-rtp' && report.kind === 'video') {
-                document.getElementById('stat-res').innerText = (report.frameWidth || '-') + 'x' + (report.frameHeight || '-');
-                document.getElementById('stat-fps').innerText = report.framesPerSecond || '-';
+    if (statsInterval) return;
+    statsInterval = setInterval(() => collectStats().catch(e => console.error('Stats:', e)), STATS_INTERVAL);
+}
+
+function stopStatsLoop() {
+    clearInterval(statsInterval);
+    statsInterval = null;
+    statsPrev.clear();
+}
+
+// Viewer: our inbound connection. Broadcaster: one outbound connection per viewer.
+async function collectStats() {
+    const peers = client.role === 'broadcaster'
+        ? [...client.peers].filter(([, pc]) => pc.connectionState !== 'closed')
+        : client.upstream ? [['host', client.upstream]] : [];
+
+    const samples = await Promise.all(peers.map(([id, pc]) => collectPeerStats(id, pc)));
+    [...statsPrev.keys()].forEach(id => {
+        if (!peers.some(([peer]) => peer === id)) statsPrev.delete(id);
+    });
+
+    if (statsRecordingActive) {
+        statsRecording.push(...samples);
+        if (statsRecording.length > STATS_RECORDING_LIMIT) statsRecording.splice(0, statsRecording.length - STATS_RECORDING_LIMIT);
+        document.getElementById('stats-record-btn').innerText = `⏹ Stop (${statsRecording.length})`;
+    }
+
+    renderStats(samples);
+}
+
+// The screen is the first video transceiver; a separate camera track comes after it
+function screenTrackIds(pc) {
+    const transceiver = pc.getTransceivers().find(t => t.receiver.track.kind === 'video');
+    return { out: transceiver?.sender.track?.id, in: transceiver?.receiver.track.id };
+}
+
+// `prevSamples` holds the last counters per peer; every caller polling on its own schedule needs
+// its own map, or the rates it computes come out of someone else's interval
+async function collectPeerStats(peer, pc, prevSamples = statsPrev) {
+    const report = await pc.getStats();
+    const sample = Object.fromEntries(STATS_FIELDS.map(f => [f, null]));
+    sample.ts = Date.now();
+    sample.peer = peer;
+
+    let bytes = null;
+    let packets = 0;
+    let lost = 0;
+
+    // Only the screen's RTP streams count, whichever order the report lists them in
+    const screen = screenTrackIds(pc);
+    const isScreen = (r) => r.type === 'inbound-rtp'
+        ? !screen.in || r.trackIdentifier === undefined || r.trackIdentifier === screen.in
+        : !screen.out || !r.mediaSourceId || report.get(r.mediaSourceId)?.trackIdentifier === screen.out;
+
+    report.forEach(r => {
+        if ((r.type === 'inbound-rtp' || r.type === 'outbound-rtp') && r.kind === 'video' && !isScreen(r)) return;
+
+        if (r.type === 'inbound-rtp' && r.kind === 'video') {
+            sample.direction = 'in';
+            bytes = r.bytesReceived;
+            packets = r.packetsReceived;
+            lost = r.packetsLost;
+            sample.jitter = r.jitter ?? null;
+            sample.freezes = r.freezeCount ?? null;
+        } else if (r.type === 'outbound-rtp' && r.kind === 'video') {
+            sample.direction = 'out';
+            bytes = r.bytesSent;
+            packets = r.packetsSent;
+        } else if (r.type === 'remote-inbound-rtp' && r.kind === 'video') {
+            // The viewer's view of our outbound stream
+            lost = r.packetsLost ?? 0;
+            sample.jitter = r.jitter ?? null;
+            sample.rtt = r.roundTripTime ?? null;
+        } else if (r.type === 'candidate-pair' && r.nominated && r.state === 'succeeded') {
+            sample.rtt = r.currentRoundTripTime ?? sample.rtt;
+            const local = report.get(r.localCandidateId);
+            const remote = report.get(r.remoteCandidateId);
+            sample.relayed = local?.candidateType === 'relay' || remote?.candidateType === 'relay';
+        }
+
+        if ((r.type === 'inbound-rtp' || r.type === 'outbound-rtp') && r.kind === 'video') {
+            sample.fps = r.framesPerSecond ?? null;
+            sample.width = r.frameWidth ?? null;
+            sample.height = r.frameHeight ?? null;
+            sample.codec = report.get(r.codecId)?.mimeType?.replace('video/', '') ?? null;
+        }
+    });
+
+    const prev = prevSamples.get(peer);
+    if (prev && bytes !== null && sample.ts > prev.ts) {
+        sample.bitrate = Math.max(0, Math.round((bytes - prev.bytes) * 8 / ((sample.ts - prev.ts) / 1000)));
+        const lostDelta = Math.max(0, lost - prev.lost);
+        const sent = sample.direction === 'in' ? packets - prev.packets + lostDelta : packets - prev.packets;
+        sample.loss = sent > 0 ? lostDelta / sent : 0;
+    }
+    if (bytes !== null) prevSamples.set(peer, { ts: sample.ts, bytes, packets, lost });
+    return sample;
+}
+
+const formatBitrate = (bps) => bps === null ? '-' : bps >= 1000000 ? `${(bps / 1000000).toFixed(2)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+const formatPercent = (v) => v === null ? '-' : `${(v * 100).toFixed(1)}%`;
+const formatMs = (seconds) => seconds === null ? '-' : `${Math.round(seconds * 1000)} ms`;
+
+// Broadcaster: totals up top plus a section per viewer. Viewer: just its own connection.
+function renderStats(samples) {
+    const set = (id, value) => { document.getElementById(id).innerText = value ?? '-'; };
+    const worst = (field) => samples.reduce((max, s) => s[field] === null ? max : Math.max(max ?? 0, s[field]), null);
+    const first = samples.find(s => s.width) || {};
+
+    set('stat-res', first.width ? `${first.width}x${first.height}` : '-');
+    set('stat-fps', first.fps);
+    set('stat-bitrate', formatBitrate(samples.some(s => s.bitrate !== null)
+        ? samples.reduce((sum, s) => sum + (s.bitrate || 0), 0)
+        : null));
+    set('stat-loss', formatPercent(worst('loss')));
+    set('stat-jitter', formatMs(worst('jitter')));
+    set('stat-rtt', formatMs(worst('rtt')));
+    set('stat-freezes', worst('freezes'));
+    set('stat-codec', [...new Set(samples.map(s => s.codec).filter(Boolean))].join(', ') || '-');
+    set('stat-path', samples.length === 0 ? '-' : client.role === 'broadcaster'
+        ? `${samples.filter(s => s.relayed).length}/${samples.length} relayed`
+        : samples[0].relayed ? 'relayed (TURN)' : 'direct');
+    updateRecoveryStat();
+
+    const list = document.getElementById('stats-viewers');
+    if (client.role !== 'broadcaster') return list.replaceChildren();
+
+    list.replaceChildren(...samples.map(sample => {
+        const el = document.createElement('div');
+        el.className = 'stats-peer';
+        el.innerText = [
+            client.profile(sample.peer)?.name || sample.peer,
+            `  ${formatBitrate(sample.bitrate)} · ${sample.width ? `${sample.width}x${sample.height}` : '-'} @ ${sample.fps ?? '-'}`,
+            `  loss ${formatPercent(sample.loss)} · rtt ${formatMs(sample.rtt)}`,
+            `  ${sample.codec || '-'} · ${sample.relayed ? 'relayed' : 'direct'}`
+        ].join('\n');
+        return el;
+    }));
+}
+
+// --- Stats recording & export ---
+function toggleStatsRecording() {
+    const btn = document.getElementById('stats-record-btn');
+    if (statsRecordingActive) {
+        statsRecordingActive = false;
+        btn.innerText = `⏺ Record (${statsRecording.length})`;
+        if (document.getElementById('stats-overlay').classList.contains('hidden')) stopStatsLoop();
+        return;
+    }
+    statsRecording = [];
+    statsRecordingActive = true;
+    btn.innerText = '⏹ Stop (0)';
+    startStatsLoop();
+}
+
+function exportStats(format) {
+    if (!statsRecording || statsRecording.length === 0) {
+        alert('Record a stats session first');
+        return;
+    }
+
+    let body;
+    if (format === 'csv') {
+        const escape = (v) => v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+        body = [STATS_FIELDS.join(','), ...statsRecording.map(s => STATS_FIELDS.map(f => escape(s[f])).join(','))].join('\n');
+    } else {
+        body = JSON.stringify({ room: client.roomId, role: client.role, exportedAt: new Date().toISOString(), samples: statsRecording }, null, 2);
+    }
+
+    const blob = new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `chinshare-stats-${client.roomId}-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function updateRecoveryStat() {
+    const el = document.getElementById('stat-recovery');
+    if (client.role === 'viewer') {
+        el.innerText = `${viewerReconnects} reconnects${viewerReconnecting ? ' (in progress)' : ''}`;
+        return;
+    }
+    let iceRestarts = 0;
+    let rebuilds = 0;
+    client.recovery.forEach(rec => {
+        iceRestarts += rec.iceRestarts;
+        rebuilds += rec.rebuilds;
+    });
+    el.innerText = `${iceRestarts} ICE restarts, ${rebuilds} rebuilds`;
+}
+
+// --- Session Recording ---
+// Records what this side sees: the outgoing stream on the broadcaster, the received one on a viewer.
+// MediaRecorder stops when its stream's tracks change, so it records a stream of its own (video
+// copied frame by frame, audio through Web Audio) and source switches only re-point those inputs.
+const RECORDING_TIMESLICE = 1000; // ms of media per chunk
+const RECORDING_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm',
+    'video/mp4;codecs=avc1,mp4a.40.2', 'video/mp4'
+];
+const RECORDING_FILE_PREFIX = 'chinshare-recording-';
+let recording = null; // { recorder, mimeType, name, video, audio, file, chunks, writes, elapsed, resumedAt }
+let recordingTimer = null;
+let lastRecording = null; // { blob, name, downloaded }
+
+function getRecordingSource() {
+    return client.role === 'broadcaster' ? localStream : videoEl.srcObject;
+}
+
+function createRecordingVideo() {
+    if (window.MediaStreamTrackProcessor && window.MediaStreamTrackGenerator) {
+        // Frames are forwarded as-is, and keep flowing while the tab is hidden
+        const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+        const writer = generator.writable.getWriter();
+        let reader = null;
+        const video = {
+            input: null,
+            track: generator,
+            setSource(track) {
+                if (track === video.input) return;
+                video.input = track;
+                reader?.cancel().catch(() => { });
+                reader = track ? new MediaStreamTrackProcessor({ track }).readable.getReader() : null;
+                const current = reader;
+                (async () => {
+                    while (current && current === reader) {
+                        const { value: frame, done } = await current.read();
+                        if (done) break;
+                        if (current === reader) await writer.write(frame);
+                        else frame.close();
+                    }
+                })().catch(() => { }); // Ends when the source or the recording stops
+            },
+            stop() {
+                reader?.cancel().catch(() => { });
+                reader = null;
+                generator.stop();
             }
-        });
+        };
+        return video;
+    }
 
-        // For real bitrate we need delta, leaving simple for now to avoid complexity in this step
-        // Ideally we use report.bytesReceived - prevBytes / time
-    }, 1000);
+    const el = document.createElement('video');
+    el.muted = true;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const timer = setInterval(() => {
+        if (!el.videoWidth) return;
+        if (canvas.width !== el.videoWidth || canvas.height !== el.videoHeight) {
+            canvas.width = el.videoWidth;
+            canvas.height = el.videoHeight;
+        }
+        ctx.drawImage(el, 0, 0);
+    }, 1000 / 30);
+    const track = canvas.captureStream(30).getVideoTracks()[0];
+    const video = {
+        input: null,
+        track,
+        setSource(input) {
+            if (input === video.input) return;
+            video.input = input;
+            el.srcObject = input ? new MediaStream([input]) : null;
+            if (input) el.play().catch(() => { });
+        },
+        stop() {
+            clearInterval(timer);
+            track.stop();
+            el.srcObject = null;
+        }
+    };
+    return video;
+}
+
+function createRecordingAudio() {
+    const ctx = new AudioContext();
+    const destination = ctx.createMediaStreamDestination(); // Silence while there's no source
+    let source = null;
+    const audio = {
+        input: null,
+        track: destination.stream.getAudioTracks()[0],
+        setSource(track) {
+            if (track === audio.input) return;
+            audio.input = track;
+            if (source) source.disconnect();
+            source = track ? ctx.createMediaStreamSource(new MediaStream([track])) : null;
+            if (source) source.connect(destination);
+        },
+        stop() {
+            if (source) source.disconnect();
+            ctx.close();
+        }
+    };
+    return audio;
+}
+
+// Follow source switches, viewer reconnects and pipeline changes
+function updateRecordingSource() {
+    if (!recording) return;
+    const stream = getRecordingSource();
+    recording.video.setSource(stream?.getVideoTracks()[0] ?? null);
+    recording.audio.setSource(stream?.getAudioTracks()[0] ?? null);
+}
+
+// Chunks go to the origin-private file system so long sessions don't sit in memory;
+// null when it isn't available (chunks are then kept as Blobs)
+async function openRecordingFile(name) {
+    try {
+        const dir = await navigator.storage.getDirectory();
+        // Only one recording is kept at a time
+        for await (const entry of dir.keys()) {
+            if (entry.startsWith(RECORDING_FILE_PREFIX)) await dir.removeEntry(entry);
+        }
+        const handle = await dir.getFileHandle(name, { create: true });
+        return { handle, writable: await handle.createWritable() };
+    } catch (e) {
+        console.warn('No writable file storage, recording to memory:', e);
+        return null;
+    }
+}
+
+async function startRecording() {
+    if (!window.MediaRecorder) {
+        alert('Recording is not supported in this browser');
+        return;
+    }
+    if (!getRecordingSource()) {
+        alert('Nothing to record yet');
+        return;
+    }
+    const mimeType = RECORDING_MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    if (!mimeType) {
+        alert('This browser cannot record WebM or MP4');
+        return;
+    }
+    if (lastRecording && !lastRecording.downloaded && !confirm('Discard the previous recording?')) return;
+
+    const extension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+    const name = `${RECORDING_FILE_PREFIX}${client.roomId}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    lastRecording = null;
+    const file = await openRecordingFile(name);
+
+    const video = createRecordingVideo();
+    const audio = createRecordingAudio();
+    const recorder = new MediaRecorder(new MediaStream([video.track, audio.track]), { mimeType });
+    const rec = { recorder, mimeType, name, video, audio, file, chunks: [], writes: Promise.resolve(), elapsed: 0, resumedAt: Date.now() };
+
+    recorder.ondataavailable = (e) => {
+        if (!e.data.size) return;
+        if (!rec.file) {
+            rec.chunks.push(e.data);
+            return;
+        }
+        rec.writes = rec.writes
+            .then(() => rec.file.writable.write(e.data))
+            .catch(err => console.error('Recording write failed:', err));
+    };
+    recorder.onstop = () => finishRecording(rec);
+    recorder.onerror = (e) => console.error('Recorder error:', e.error);
+
+    recording = rec;
+    updateRecordingSource();
+    recorder.start(RECORDING_TIMESLICE);
+    recordingTimer = setInterval(updateRecordingUI, 1000);
+    updateRecordingUI();
+}
+
+function stopRecording() {
+    if (recording && recording.recorder.state !== 'inactive') recording.recorder.stop();
+}
+
+// The last chunk has arrived by the time 'stop' fires
+async function finishRecording(rec) {
+    rec.video.stop();
+    rec.audio.stop();
+    if (recording === rec) recording = null;
+    clearInterval(recordingTimer);
+    recordingTimer = null;
+
+    let blob;
+    if (rec.file) {
+        await rec.writes;
+        await rec.file.writable.close();
+        blob = await rec.file.handle.getFile(); // Read from disk when downloaded
+    } else {
+        blob = new Blob(rec.chunks, { type: rec.mimeType });
+    }
+    lastRecording = { blob, name: rec.name, downloaded: false };
+    updateRecordingUI();
+}
+
+function toggleRecording() {
+    if (recording) stopRecording();
+    else startRecording();
+}
+
+function toggleRecordingPause() {
+    if (!recording) return;
+    const recorder = recording.recorder;
+    if (recorder.state === 'recording') {
+        recorder.pause();
+        recording.elapsed += Date.now() - recording.resumedAt;
+    } else if (recorder.state === 'paused') {
+        recorder.resume();
+        recording.resumedAt = Date.now();
+    }
+    updateRecordingUI();
+}
+
+function downloadRecording() {
+    if (!lastRecording) return;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(lastRecording.blob);
+    link.download = lastRecording.name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    lastRecording.downloaded = true;
+}
+
+function updateRecordingUI() {
+    const state = recording?.recorder.state;
+    const recordBtn = document.getElementById('record-btn');
+    const pauseBtn = document.getElementById('record-pause-btn');
+
+    if (recording) {
+        const elapsed = Math.floor((recording.elapsed + (state === 'recording' ? Date.now() - recording.resumedAt : 0)) / 1000);
+        const m = Math.floor(elapsed / 60).toString().padStart(2, '0');
+        const sec = (elapsed % 60).toString().padStart(2, '0');
+        recordBtn.innerText = `⏹ ${m}:${sec}`;
+    } else {
+        recordBtn.innerText = '⏺';
+    }
+    recordBtn.classList.toggle('recording', state === 'recording');
+    pauseBtn.classList.toggle('hidden', !recording);
+    pauseBtn.innerText = state === 'paused' ? '▶' : '⏸';
+    document.getElementById('record-download-btn').classList.toggle('hidden', !lastRecording || !!recording);
 }
 
 // --- UI Interactions ---
@@ -848,10 +3213,16 @@ function checkFeatureSupport() {
 
     if (isSupported) {
         document.getElementById('content-hint-container').classList.remove('hidden');
-        document.getElementById('overlay-content-hint').classList.remove('hidden');
+        // The overlay copy of the picker is optional; not every layout has it
+        document.getElementById('overlay-content-hint')?.classList.remove('hidden');
     } else {
         console.log("Browser does not support contentHint");
     }
+
+    if (!isE2eeSupported()) {
+        document.getElementById('e2ee-toggle').disabled = true;
+        document.getElementById('e2ee-unsupported').classList.remove('hidden');
+    }
 }
 
 // UI Interaction Logic (Auto-hide & Toggle)
@@ -871,7 +3242,7 @@ function setupUIInteractions() {
 
     function hideUI() {
         // Broadcaster: Never auto-hide, always keep controls visible
-        if (currentRole === 'broadcaster') return;
+        if (client.role === 'broadcaster') return;
 
         controls.classList.add('hidden-ui');
         infoBar.classList.add('hidden-ui');
@@ -879,7 +3250,7 @@ function setupUIInteractions() {
 
     function toggleUI() {
         // Broadcaster: Don't toggle, always show
-        if (currentRole === 'broadcaster') return;
+        if (client.role === 'broadcaster') return;
 
         if (controls.classList.contains('hidden-ui')) {
             showUI();
@@ -890,7 +3261,7 @@ function setupUIInteractions() {
 
     function resetIdleTimer() {
         // Broadcaster: No timer needed
-        if (currentRole === 'broadcaster') return;
+        if (client.role === 'broadcaster') return;
 
         clearTimeout(uiTimeout);
         uiTimeout = setTimeout(hideUI, UI_IDLE_TIME);
@@ -901,6 +3272,12 @@ function setupUIInteractions() {
     const handleStageClick = (e) => {
         // Ignore clicks on actual controls
         if (e.target.closest('#controls-overlay') || e.target.closest('.info-pill') ||
+            e.target.closest('#chat-panel') || e.target.closest('#lobby-panel') ||
+            e.target.closest('#annotation-toolbar') || e.target.id === 'annotation-canvas' ||
+            e.target.closest('#stats-overlay') || e.target.closest('#av-panel') || e.target.closest('#camera-pip') ||
+            e.target.closest('#redaction-toolbar') || e.target.closest('#redaction-layer') ||
+            e.target.closest('#source-picker') || e.target.closest('#paused-banner') ||
+            e.target.closest('#handoff-prompt') || e.target.id === 'e2ee-status' ||
             e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
             resetIdleTimer();
             return;
@@ -927,21 +3304,30 @@ function setupUIInteractions() {
     });
 
     // Initial start - only for viewer
-    if (currentRole !== 'broadcaster') {
+    if (client.role !== 'broadcaster') {
         resetIdleTimer();
     }
 }
 
 // Call on load
 document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('relay-only').checked = !!localStorage.getItem('chinshare-relay-only');
+    document.getElementById('display-name').value = localStorage.getItem('chinshare-name') || '';
     checkFeatureSupport();
     setupUIInteractions();
+    setupAnnotationCanvas();
+    setupCodecSelect();
+    setupCameraBubbleDrag();
+    setupCameraPipDrag();
+    setupRedactionLayer();
+    if (embedMode) setupEmbed();
 });
 
 function applyContentHint(mode) {
     // Sync both selects
     document.getElementById('content-hint-select').value = mode;
-    document.getElementById('overlay-hint-select').value = mode;
+    const overlaySelect = document.getElementById('overlay-hint-select');
+    if (overlaySelect) overlaySelect.value = mode;
 
     // Apply to current stream if exists
     if (localStream) {
@@ -949,6 +3335,7 @@ function applyContentHint(mode) {
         if (videoTrack && 'contentHint' in videoTrack) {
             videoTrack.contentHint = mode;
             console.log(`Content hint set to: ${mode}`);
+            client.peers.forEach((pc, id) => applyViewerEncoding(id)); // Resolution vs framerate trade-off follows the hint
 
             // Show feedback
             const btn = document.activeElement;
@@ -971,12 +3358,16 @@ async function updateBitrate(mbps) {
     updateVideoBitrate(mbps);
 }
 
-async function updateBitrateForPC(pc, bps) {
+// `scale`/`fps` come from adaptive bitrate; fps null lifts the framerate cap
+async function updateBitrateForPC(pc, bps, { scale = 1, fps = null } = {}) {
     const senders = pc.getSenders();
-    const sender = senders.find(s => s.track.kind === 'video');
+    const sender = senders.find(s => s.track?.kind === 'video');
     if (!sender) return;
     const params = sender.getParameters();
     if (!params.encodings) params.encodings = [{}];
     params.encodings[0].maxBitrate = bps;
+    params.encodings[0].scaleResolutionDownBy = scale;
+    if (fps) params.encodings[0].maxFramerate = fps;
+    else delete params.encodings[0].maxFramerate;
     try { await sender.setParameters(params); } catch (e) { }
 }